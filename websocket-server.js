@@ -1,834 +1,5157 @@
 // server.js
 const express = require('express');
 const http = require('http');
+const https = require('https');
+const dns = require('dns');
+const net = require('net');
 const { Server } = require('socket.io');
-const { MongoClient } = require('mongodb');
+const { MongoClient, BSON, ObjectId } = require('mongodb');
 const cors = require('cors');
+const crypto = require('crypto');
+const fs = require('fs');
+const { isDeepStrictEqual } = require('util');
+const { verifyMessage, getAddress } = require('ethers');
 require('dotenv').config();
 
+const LOG_LEVELS = { debug: 10, info: 20, warn: 30, error: 40, silent: 100 };
+
+// Server configuration: the defaults below, overridden by the JSON file named
+// by CONFIG_FILE (same keys), overridden by the environment variables in
+// CONFIG_ENV. Invalid configuration stops the server at startup. On SIGHUP
+// the RELOADABLE_SETTINGS are read again and applied to the running server;
+// other changes need a restart.
+const CONFIG_DEFAULTS = {
+  port: 4003,
+  mongoUri: undefined,
+  mongoDbName: 'v2',
+  corsOrigins: [
+    'https://kingofapes.fun',
+    'https://www.kingofapes.fun',
+    'http://localhost:3000',
+    'http://localhost:4003',
+    'http://localhost:4004',
+    'https://webtests-6it9.onrender.com'
+  ],
+  chains: undefined, // parseChainsConfig's default
+  defaultChainId: undefined, // the first chain
+  excludedTokens: [],
+  defaultPageSize: 10,
+  maxPageSize: 100,
+  batchWindowMs: 100,
+  keepAliveIntervalMs: 30000,
+  
+  // Logging
+  logLevel: 'info',
+  logSampleRates: { changes: 0.01, pings: 0.01, 'http-requests': 0.1 },
+  
+  // Requests, connections and rate limits
+  maxPayloadBytes: 100 * 1000,
+  trustProxyHops: null, // per-IP limits are off until it is set
+  maxConnectionsPerIp: 20,
+  rateLimits: undefined, // parseRateLimitsConfig's defaults
+  maxSubscriptionsPerSocket: 200,
+  maxWatchlistSize: 100,
+  maxBatchLookup: 100,
+  updateLogSize: 5000,
+  searchSuggestDebounceMs: 150,
+  
+  // Scheduled jobs and retention
+  globalStatsIntervalMs: 30000,
+  globalStatsRetentionDays: 90,
+  leaderboardSize: 20,
+  leaderboardIntervalMs: 60000,
+  leaderboardMinVolumeUsd: 1000,
+  priceHistoryRetentionDays: 90,
+  
+  // Alerts and webhooks
+  maxAlertsPerWallet: 50,
+  webhookMaxAttempts: 8,
+  webhookDeliveryRetentionDays: 30,
+  
+  // Token metadata and authorization
+  imageHosts: ['res.cloudinary.com'],
+  adminAddresses: [],
+  adminApiKey: '',
+  signatureMaxTtlSeconds: 600,
+  
+  // Health and shutdown
+  readyMaxChangeAgeMs: 10 * 60 * 1000,
+  healthCheckIntervalMs: 5000,
+  shutdownTimeoutMs: 10 * 1000,
+  shutdownReconnectMs: 5000
+};
+const CONFIG_ENV = {
+  port: 'PORT',
+  mongoUri: 'MONGODB_URI',
+  mongoDbName: 'MONGODB_DB',
+  corsOrigins: 'CORS_ORIGINS',
+  chains: 'CHAINS',
+  defaultChainId: 'DEFAULT_CHAIN_ID',
+  excludedTokens: 'EXCLUDED_TOKENS',
+  defaultPageSize: 'DEFAULT_PAGE_SIZE',
+  maxPageSize: 'MAX_PAGE_SIZE',
+  batchWindowMs: 'BATCH_WINDOW_MS',
+  keepAliveIntervalMs: 'KEEP_ALIVE_INTERVAL_MS',
+  logLevel: 'LOG_LEVEL',
+  logSampleRates: 'LOG_SAMPLE_RATES',
+  maxPayloadBytes: 'MAX_PAYLOAD_BYTES',
+  trustProxyHops: 'TRUST_PROXY_HOPS',
+  maxConnectionsPerIp: 'MAX_CONNECTIONS_PER_IP',
+  rateLimits: 'RATE_LIMITS',
+  maxSubscriptionsPerSocket: 'MAX_SUBSCRIPTIONS_PER_SOCKET',
+  maxWatchlistSize: 'MAX_WATCHLIST_SIZE',
+  maxBatchLookup: 'MAX_BATCH_LOOKUP',
+  updateLogSize: 'UPDATE_LOG_SIZE',
+  searchSuggestDebounceMs: 'SEARCH_SUGGEST_DEBOUNCE_MS',
+  globalStatsIntervalMs: 'GLOBAL_STATS_INTERVAL_MS',
+  globalStatsRetentionDays: 'GLOBAL_STATS_RETENTION_DAYS',
+  leaderboardSize: 'LEADERBOARD_SIZE',
+  leaderboardIntervalMs: 'LEADERBOARD_INTERVAL_MS',
+  leaderboardMinVolumeUsd: 'LEADERBOARD_MIN_VOLUME_USD',
+  priceHistoryRetentionDays: 'PRICE_HISTORY_RETENTION_DAYS',
+  maxAlertsPerWallet: 'MAX_ALERTS_PER_WALLET',
+  webhookMaxAttempts: 'WEBHOOK_MAX_ATTEMPTS',
+  webhookDeliveryRetentionDays: 'WEBHOOK_DELIVERY_RETENTION_DAYS',
+  imageHosts: 'IMAGE_HOSTS',
+  adminAddresses: 'ADMIN_ADDRESSES',
+  adminApiKey: 'ADMIN_API_KEY',
+  signatureMaxTtlSeconds: 'SIGNATURE_MAX_TTL_SECONDS',
+  readyMaxChangeAgeMs: 'READY_MAX_CHANGE_AGE_MS',
+  healthCheckIntervalMs: 'HEALTH_CHECK_INTERVAL_MS',
+  shutdownTimeoutMs: 'SHUTDOWN_TIMEOUT_MS',
+  shutdownReconnectMs: 'SHUTDOWN_RECONNECT_MS'
+};
+const RELOADABLE_SETTINGS = ['corsOrigins', 'excludedTokens', 'logLevel', 'logSampleRates'];
+
+// Structured JSON logs, one object per line on stdout. logLevel is one of
+// debug, info (default), warn, error or silent. High-volume messages go
+// through logger.sampled(name), which keeps the share of them set for name in
+// logSampleRates and records that rate. Until the configuration is loaded,
+// the defaults apply.
+let logSettings = CONFIG_DEFAULTS;
+const logger = createLogger();
+
+const config = loadConfigOrExit();
+logSettings = config;
+
+// Apply changed origins and exclusions without dropping connections
+process.on('SIGHUP', () => reloadConfig());
+
+// Drain and exit on deploys and Ctrl-C
+process.on('SIGTERM', () => shutdown('SIGTERM'));
+process.on('SIGINT', () => shutdown('SIGINT'));
+
+// Largest HTTP body or socket message accepted, in bytes
+const MAX_PAYLOAD_BYTES = config.maxPayloadBytes;
+
+// Number of reverse proxies in front of the server whose X-Forwarded-For
+// entries are trusted when working out client IPs. Per-IP limits only apply
+// once it is set: behind a proxy, a wrong count makes every client look like
+// the proxy and share one IP's limits.
+const TRUST_PROXY_HOPS = config.trustProxyHops || 0;
+const PER_IP_LIMITS = config.trustProxyHops !== null;
+
 const app = express();
+app.set('trust proxy', TRUST_PROXY_HOPS);
 
-// Enhanced CORS configuration with expanded header allowlist
-app.use(cors({
-  // Allow connections from your actual frontend domain
-  origin: ["https://kingofapes.fun", "http://localhost:3000", "http://localhost:4003", "http://localhost:4004", "https://webtests-6it9.onrender.com", "https://www.kingofapes.fun"],
+// CORS configuration shared by Express and Socket.IO, with expanded header
+// allowlist. Origins are looked up on every request so a reload applies at once.
+const corsOptions = {
+  origin: (origin, callback) => callback(null, config.corsOrigins.includes(origin)),
   credentials: true,
   methods: ["GET", "POST", "OPTIONS", "PUT", "DELETE"],
   allowedHeaders: [
     "Content-Type", 
     "Authorization", 
     "X-Requested-With", 
+    "X-Request-Id",
+    "X-Signature",
+    "X-Signature-Nonce",
+    "X-Signature-Expires-At",
     "Cache-Control", 
     "Pragma", 
     "Expires", 
     "my-custom-header"
-  ]
-}));
+  ],
+  preflightContinue: false,
+  optionsSuccessStatus: 204
+};
+app.use(cors(corsOptions));
+
+// Correlate the log lines of a request; X-Request-Id is taken from the client
+// or generated, and echoed in the response
+app.use((req, res, next) => {
+  const header = req.get('x-request-id');
+  req.id = header && header.length <= 64 ? header : crypto.randomUUID();
+  req.log = logger.child({ requestId: req.id });
+  res.set('X-Request-Id', req.id);
+  
+  const startedAt = Date.now();
+  const { method, path } = req; // mounted middleware rewrites req.path
+  res.on('finish', () => {
+    req.log.sampled('http-requests').info('HTTP request', {
+      method,
+      path,
+      status: res.statusCode,
+      durationMs: Date.now() - startedAt
+    });
+  });
+  next();
+});
 
 // Add JSON body parser middleware
-app.use(express.json());
+app.use(express.json({ limit: MAX_PAYLOAD_BYTES }));
 
 const server = http.createServer(app);
 
 // Enhanced Socket.io configuration with better connection parameters
 const io = new Server(server, {
-  cors: {
-    origin: ["https://kingofapes.fun", "http://localhost:3000", "http://localhost:4003", "http://localhost:4004", "https://webtests-6it9.onrender.com","https://www.kingofapes.fun"],
-    methods: ["GET", "POST", "OPTIONS", "PUT", "DELETE"],
-    credentials: true,
-    allowedHeaders: [
-      "Content-Type", 
-      "Authorization", 
-      "X-Requested-With", 
-      "Cache-Control", 
-      "Pragma", 
-      "Expires", 
-      "my-custom-header"
-    ],
-    preflightContinue: false,
-    optionsSuccessStatus: 204
-  },
+  cors: corsOptions,
   allowEIO3: true,
   transports: ['websocket', 'polling'],
   pingTimeout: 60000,  // How long to wait for ping response (60 seconds)
   pingInterval: 25000, // How often to ping (25 seconds)
   upgradeTimeout: 30000, // Time for WebSocket upgrade to complete
-  maxHttpBufferSize: 1e8 // Increase buffer size for larger messages
+  maxHttpBufferSize: MAX_PAYLOAD_BYTES
 });
 
 // MongoDB connection
-const uri = process.env.MONGODB_URI;
-const client = new MongoClient(uri);
+const client = new MongoClient(config.mongoUri);
+
+// Liveness: the process is up and serving HTTP
+app.get('/healthz', (req, res) => {
+  res.json({ status: 'ok', uptimeSeconds: Math.round(process.uptime()) });
+});
+
+// Readiness: startup finished, MongoDB answers a ping, and the tokens change
+// stream is open and delivering. It pings MongoDB, so like /metrics it sits
+// behind the per-IP limits; /healthz stays unlimited for the platform's probe.
+app.get('/readyz', rateLimitRoute, async (req, res) => {
+  const checks = await checkReadiness();
+  const ready = Object.values(checks).every(check => check.ok);
+  res.status(ready ? 200 : 503).json({ status: ready ? 'ready' : 'not_ready', checks });
+});
+
+app.get('/metrics', rateLimitRoute, (req, res) => {
+  res.set('Content-Type', 'text/plain; version=0.0.4; charset=utf-8');
+  res.send(renderMetrics());
+});
+
+// Sockets are refused until startServer has registered its handlers, and
+// again once shutdown has begun
+io.use((socket, next) => {
+  if (!serverStarted || shuttingDown) {
+    const err = new Error(shuttingDown ? 'Server is shutting down' : 'Server is starting');
+    err.data = { code: 'unavailable' };
+    return next(err);
+  }
+  next();
+});
+
+// API routes are registered once startServer has connected to MongoDB
+app.use('/api', (req, res, next) => {
+  if (shuttingDown) {
+    res.set('Connection', 'close');
+    return res.status(503).json({ error: 'Server is shutting down' });
+  }
+  if (!serverStarted) {
+    return res.status(503).json({ error: 'Server is starting' });
+  }
+  next();
+});
 
 // Add these variables at the top level, after the MongoDB connection setup
 let updateQueue = [];
 let batchTimeout;
-const userViewportTokens = new Map();
+
+// Set once startServer has connected and registered its handlers; sockets and
+// API requests are refused until then
+let serverStarted = false;
+let tokensChangeStream = null; // watchWithResume state of the tokens stream
+
+// Set by shutdown; new sockets and API requests are refused from then on
+let shuttingDown = false;
+
+// When MongoDB or the tokens change stream became unhealthy, null while healthy
+let degradedSince = null;
+let degradedReasons = [];
+
+// Chains whose tokens are listed, configured as JSON in CHAINS. Tokens stored
+// without a chainId predate multi-chain support and belong to DEFAULT_CHAIN_ID.
+// Each chain's wrapped native token never appears in listings.
+// EXCLUDED_TOKENS lists more tokens to keep out of listings.
+const CHAINS = config.chains;
+const chainsById = new Map(CHAINS.map(chain => [chain.chainId, chain]));
+const DEFAULT_CHAIN_ID = config.defaultChainId;
+// Clients pick one chain, or every chain at once with chainId "all". Each
+// socket is in the room "chain:<chainId>" of the chain it picked.
+const ALL_CHAINS = 'all';
+
+// Per-token subscriptions are Socket.IO rooms named "token:<chainId>:<contractAddress>"
+const MAX_SUBSCRIPTIONS_PER_SOCKET = config.maxSubscriptionsPerSocket;
+
+// Watchlists are stored per wallet; sockets of an authenticated wallet share
+// the room "wallet:<address>" and are subscribed to every watchlisted token
+const MAX_WATCHLIST_SIZE = config.maxWatchlistSize;
+
+// Field-level deltas collected during the batch window, and the last
+// sequence number emitted per token so clients can detect gaps
+const pendingDeltas = new Map(); // "chainId:contractAddress" -> { chainId, contractAddress, full, changes, removed }
+const tokenSequences = new Map(); // "chainId:contractAddress" -> seq
+const tokenKeysById = new Map(); // token _id -> "chainId:contractAddress", for delete events
+const MAX_RESYNC_TOKENS = 50;
+
+// Bounded log of emitted deltas so reconnecting clients can replay what they
+// missed. streamSeq is global and restarts with the process, hence STREAM_ID.
+const STREAM_ID = crypto.randomUUID();
+const UPDATE_LOG_SIZE = config.updateLogSize;
+const recentDeltas = [];
+let lastStreamSeq = 0;
+
+// Token listing
+const DEFAULT_PAGE_SIZE = config.defaultPageSize;
+const MAX_PAGE_SIZE = config.maxPageSize;
+const TOKEN_SORT_FIELDS = {
+  marketCap: 'market_cap_usd',
+  volume: 'volume_usd_24h',
+  liquidity: 'pool_reserve_in_usd',
+  blockNumber: 'blockNumber',
+  price: 'price_usd'
+};
+// Range filters accepted as min<Name>/max<Name> params
+const TOKEN_RANGE_FILTERS = {
+  MarketCap: 'market_cap_usd',
+  Volume: 'volume_usd_24h',
+  Liquidity: 'pool_reserve_in_usd',
+  Block: 'blockNumber'
+};
+
+// Token search
+const SEARCH_DEFAULT_PAGE_SIZE = 20;
+const SEARCH_MAX_PAGE_SIZE = 50;
+const SEARCH_MAX_QUERY_LENGTH = 64;
+const SEARCH_SUGGEST_LIMIT = 8;
+const SEARCH_SUGGEST_DEBOUNCE_MS = config.searchSuggestDebounceMs;
+
+// Global stats are computed on a schedule and served from this cache
+const GLOBAL_STATS_INTERVAL_MS = config.globalStatsIntervalMs;
+const GLOBAL_STATS_RETENTION_DAYS = config.globalStatsRetentionDays;
+const DEFAULT_STATS_HISTORY_LIMIT = 500;
+const MAX_STATS_HISTORY_LIMIT = 5000;
+const latestGlobalStats = new Map(); // chainId or "all" -> stats
+
+// Leaderboards are recomputed per chain on a schedule; rooms
+// "leaderboard:<chainId>:<type>" receive a leaderboard-update whenever a
+// board's ranking changes
+const LEADERBOARD_TYPES = ['gainers-1h', 'gainers-24h', 'losers-1h', 'losers-24h', 'volume-growth', 'new-launches'];
+const LEADERBOARD_SIZE = config.leaderboardSize;
+const LEADERBOARD_INTERVAL_MS = config.leaderboardIntervalMs;
+// Ignore volume growth on tokens trading less than this in the last hour
+const LEADERBOARD_MIN_VOLUME_USD = config.leaderboardMinVolumeUsd;
+const leaderboards = new Map(); // "chainId:type" -> { type, chainId, updatedAt, entries }
+
+// Top market cap and volume tokens per chain, highest first, maintained in
+// memory from change events so top-tokens-update only goes out when the leader changes
+const TOP_TOKENS_CACHE_SIZE = 10;
+const TOP_TOKEN_RANKINGS = { marketCap: 'market_cap_usd', volume: 'volume_usd_24h' };
+const topTokens = new Map(); // chainId or "all" -> { marketCap: [], volume: [] }
+const topTokenReloads = new Map(); // "chainId:ranking" -> in-flight reload promise
+
+// Price alerts are persisted and also kept in memory per token so every
+// change event can be checked without a query. "volume-24h-up" thresholds are
+// a percentage increase over the volume when the alert was created or last fired.
+const ALERT_TYPES = {
+  'price-crosses': 'price_usd',
+  'price-above': 'price_usd',
+  'price-below': 'price_usd',
+  'market-cap-above': 'market_cap_usd',
+  'market-cap-below': 'market_cap_usd',
+  'volume-24h-up': 'volume_usd_24h'
+};
+const MAX_ALERTS_PER_WALLET = config.maxAlertsPerWallet;
+const DEFAULT_ALERT_COOLDOWN_SECONDS = 3600;
+const MIN_ALERT_COOLDOWN_SECONDS = 60;
+const WEBHOOK_TIMEOUT_MS = 5000;
+
+// Webhooks are never sent to loopback, private, link-local (cloud metadata),
+// shared or reserved addresses. IPv4-mapped IPv6 addresses are checked
+// against the IPv4 ranges by BlockList itself.
+const PRIVATE_ADDRESSES = new net.BlockList();
+[
+  ['0.0.0.0', 8], ['10.0.0.0', 8], ['100.64.0.0', 10], ['127.0.0.0', 8], ['169.254.0.0', 16],
+  ['172.16.0.0', 12], ['192.0.0.0', 24], ['192.168.0.0', 16], ['198.18.0.0', 15], ['224.0.0.0', 3]
+].forEach(([prefix, bits]) => PRIVATE_ADDRESSES.addSubnet(prefix, bits, 'ipv4'));
+[
+  ['::', 127], ['64:ff9b::', 96], ['fc00::', 7], ['fe80::', 10], ['ff00::', 8]
+].forEach(([prefix, bits]) => PRIVATE_ADDRESSES.addSubnet(prefix, bits, 'ipv6'));
+
+const alertsByToken = new Map(); // "chainId:contractAddress" -> Map(alertId -> alert)
+
+// Outbound webhooks: deliveries are queued in Mongo and sent by a poller that
+// retries failures with exponential backoff, then moves them to the dead letters
+const WEBHOOK_EVENTS = ['token.created', 'token.metadata_updated'];
+const WEBHOOK_DELIVERY_STATUSES = ['pending', 'delivered', 'dead'];
+const WEBHOOK_POLL_INTERVAL_MS = 2000;
+const WEBHOOK_BATCH_SIZE = 20;
+const WEBHOOK_MAX_ATTEMPTS = config.webhookMaxAttempts;
+const WEBHOOK_RETRY_BASE_MS = 10 * 1000;
+const WEBHOOK_RETRY_MAX_MS = 60 * 60 * 1000;
+const WEBHOOK_DELIVERY_RETENTION_DAYS = config.webhookDeliveryRetentionDays;
+
+// New-launch feed: inserted tokens go to the rooms "new-tokens:<chainId>" and
+// "new-tokens:all"; the most recent ones are also kept to close the gap
+// between a backfill and going live
+const NEW_TOKENS_ROOM = 'new-tokens';
+const NEW_TOKENS_BUFFER_SIZE = 200;
+const DEFAULT_NEW_TOKENS_LIMIT = 100;
+const MAX_NEW_TOKENS_LIMIT = 500;
+const recentLaunches = [];
+
+// Token moderation: hidden tokens are left out of listings, search,
+// leaderboards and stats; flags and verified badges go out with every token
+const MAX_FLAG_REASON_LENGTH = 280;
+
+// Metadata edits are appended to token_metadata_history with the values they
+// replaced; tokens carry a metadataVersion that counts their edits
+const TOKEN_METADATA_FIELDS = ['name', 'symbol', 'image', 'description', 'website', 'twitter', 'telegram'];
+// Body fields of update-token-info covered by the signature's Data line
+const SIGNED_METADATA_FIELDS = [...TOKEN_METADATA_FIELDS, 'txHash'];
+const DEFAULT_HISTORY_LIMIT = 50;
+const MAX_HISTORY_LIMIT = 500;
+
+// Submitted metadata limits; images must be https URLs on one of IMAGE_HOSTS
+// (or a subdomain of one)
+const METADATA_MAX_LENGTHS = { name: 64, symbol: 16, description: 1000, url: 256 };
+const IMAGE_HOSTS = config.imageHosts;
+const IMAGE_FIELDS = ['cloudinary_id', 'asset_id', 'version', 'format', 'resource_type'];
+
+// Batch token lookups
+const MAX_BATCH_LOOKUP = config.maxBatchLookup;
+
+// Change stream restart backoff
+const CHANGE_STREAM_MIN_RETRY_MS = 1000;
+const CHANGE_STREAM_MAX_RETRY_MS = 30000;
+
+// Readiness: the change stream is considered dead when no batch (empty or
+// not) arrived for CHANGE_STREAM_STALE_MS, and the server is not ready when
+// no change arrived for READY_MAX_CHANGE_AGE_MS (0 disables that check)
+const CHANGE_STREAM_STALE_MS = 60 * 1000;
+const READY_MAX_CHANGE_AGE_MS = config.readyMaxChangeAgeMs;
+const READY_PING_TIMEOUT_MS = 2000;
+
+// While running, MongoDB and the tokens change stream are checked every
+// HEALTH_CHECK_INTERVAL_MS; clients get 'degraded' and 'recovered' events
+const HEALTH_CHECK_INTERVAL_MS = config.healthCheckIntervalMs;
+
+// Shutdown: the process exits after SHUTDOWN_TIMEOUT_MS even if draining is
+// not done, and clients are told to reconnect after a random delay of
+// SHUTDOWN_RECONNECT_MS to twice that, so they don't all come back at once
+const SHUTDOWN_TIMEOUT_MS = config.shutdownTimeoutMs;
+const SHUTDOWN_RECONNECT_MS = config.shutdownReconnectMs;
+
+// Prometheus metrics, rendered by GET /metrics
+const METRICS_PREFIX = 'websocket_server_';
+const LATENCY_BUCKETS_SECONDS = [0.005, 0.01, 0.025, 0.05, 0.1, 0.25, 0.5, 1, 2.5, 5, 10];
+const FANOUT_BUCKETS = [0, 1, 5, 10, 25, 50, 100, 250, 500, 1000, 5000];
+const metrics = {
+  socketEvents: new Map(), // event -> requests
+  socketErrors: new Map(), // "event code" -> failed requests
+  handlerLatency: new Map(), // event -> histogram of handler seconds
+  changeEvents: new Map(), // operationType -> change events
+  batchFanout: createHistogram(FANOUT_BUCKETS) // socket deliveries per update batch
+};
+const RESUME_TOKEN_SAVE_INTERVAL_MS = 1000;
+
+// Wallet signature authorization (EIP-191 / personal_sign)
+const ADMIN_ADDRESSES = config.adminAddresses;
+const SIGNATURE_MAX_TTL_SECONDS = config.signatureMaxTtlSeconds;
+
+// Operator-only routes authenticate with "Authorization: Bearer <ADMIN_API_KEY>"
+const ADMIN_API_KEY = config.adminApiKey;
+
+// Price history and OHLCV candles
+const CANDLE_RESOLUTIONS = {
+  '1m': { ms: 60 * 1000, unit: 'minute', binSize: 1 },
+  '5m': { ms: 5 * 60 * 1000, unit: 'minute', binSize: 5 },
+  '1h': { ms: 60 * 60 * 1000, unit: 'hour', binSize: 1 },
+  '1d': { ms: 24 * 60 * 60 * 1000, unit: 'day', binSize: 1 }
+};
+const DEFAULT_CANDLE_LIMIT = 300;
+const MAX_CANDLE_LIMIT = 1000;
+const PRICE_HISTORY_RETENTION_DAYS = config.priceHistoryRetentionDays;
+const lastPriceSnapshots = new Map(); // "chainId:contractAddress" -> last recorded snapshot
+const liveCandles = new Map(); // "chainId:contractAddress:resolution" -> in-progress candle
+// Candles are swept once their bucket has closed, and snapshots of tokens
+// whose price or volume hasn't moved for PRICE_SNAPSHOT_IDLE_MS
+const LIVE_PRICE_SWEEP_INTERVAL_MS = 5 * 60 * 1000;
+const PRICE_SNAPSHOT_IDLE_MS = 24 * 60 * 60 * 1000;
+
+// Token-bucket rate limits, configurable in rateLimits (RATE_LIMITS). Each rule is
+// { capacity, refillPerSecond }. "ip" is shared by the socket events and API
+// requests of an IP, "connection" limits new sockets per IP, and "events" and
+// "routes" override the "socketEvent" (per socket and event) and "httpRoute"
+// (per IP and route, keyed "METHOD /path") defaults.
+const RATE_LIMITS = config.rateLimits;
+const MAX_CONNECTIONS_PER_IP = config.maxConnectionsPerIp;
+const RATE_LIMIT_SWEEP_INTERVAL_MS = 60 * 1000;
+const rateLimitBuckets = new Map(); // "ip:<ip>", "connect:<ip>" or "<ip>|<route>" -> bucket
+const connectionsByIp = new Map(); // ip -> open sockets
+
+// Socket event payload schemas. Every handler registered with onSocketEvent is
+// checked against its entry before it runs; properties that are absent, null
+// or "" are not checked, and unknown properties are ignored. "number" accepts
+// numeric strings and "token" is an address or { chainId, contractAddress }.
+const MAX_REQUEST_ID_LENGTH = 64;
+const chainIdSchema = { type: 'chainId' };
+const tokenListSchema = { type: 'array', maxItems: 1000, items: { type: 'token' } };
+const candleSchema = {
+  type: 'object',
+  required: ['contractAddress'],
+  properties: {
+    chainId: chainIdSchema,
+    contractAddress: { type: 'address' },
+    resolution: { type: 'string', enum: Object.keys(CANDLE_RESOLUTIONS) },
+    from: { type: 'number' },
+    to: { type: 'number' },
+    limit: { type: 'number', integer: true, minimum: 1 }
+  }
+};
+const leaderboardSchema = {
+  type: 'object',
+  required: ['type'],
+  properties: {
+    chainId: chainIdSchema,
+    type: { type: 'string', enum: LEADERBOARD_TYPES },
+    limit: { type: 'number', integer: true, minimum: 1 }
+  }
+};
+const SOCKET_EVENT_SCHEMAS = {
+  'set-chain': { type: 'object', required: ['chainId'], properties: { chainId: chainIdSchema } },
+  'get-chains': { type: 'any' },
+  'authenticate-wallet': {
+    type: 'object',
+    required: ['nonce', 'expiresAt', 'signature'],
+    properties: {
+      nonce: { type: 'string', maxLength: 128 },
+      expiresAt: { type: 'number', integer: true },
+      signature: { type: 'string', maxLength: 200 }
+    }
+  },
+  'watchlist-get': { type: 'any' },
+  'watchlist-add': {
+    type: 'object',
+    required: ['contractAddresses'],
+    properties: { chainId: chainIdSchema, contractAddresses: tokenListSchema }
+  },
+  'watchlist-remove': {
+    type: 'object',
+    required: ['contractAddresses'],
+    properties: { chainId: chainIdSchema, contractAddresses: tokenListSchema }
+  },
+  'subscribe-tokens': tokenListSchema,
+  'unsubscribe-tokens': tokenListSchema,
+  'viewport-tokens': tokenListSchema,
+  'resync-tokens': tokenListSchema,
+  'ping': { type: 'any' },
+  'replay-updates': {
+    type: 'object',
+    properties: {
+      streamId: { type: 'string', maxLength: 64 },
+      lastSeq: { type: 'number', integer: true, minimum: 0 }
+    }
+  },
+  'get-global-stats': { type: 'object', optional: true, properties: { chainId: chainIdSchema } },
+  'get-tokens': {
+    type: 'object',
+    optional: true,
+    properties: {
+      chainId: chainIdSchema,
+      sort: { type: 'string', enum: Object.keys(TOKEN_SORT_FIELDS) },
+      direction: { type: 'string', enum: ['asc', 'desc'] },
+      page: { type: 'number', integer: true, minimum: 1 },
+      pageSize: { type: 'number', integer: true, minimum: 1 },
+      after: { type: 'string', maxLength: 512 },
+      maxAgeSeconds: { type: 'number' },
+      ...Object.fromEntries(Object.keys(TOKEN_RANGE_FILTERS).flatMap(name => [
+        [`min${name}`, { type: 'number' }],
+        [`max${name}`, { type: 'number' }]
+      ]))
+    }
+  },
+  'search-tokens': {
+    type: 'object',
+    required: ['query'],
+    properties: {
+      chainId: chainIdSchema,
+      query: { type: 'string', maxLength: 256 },
+      page: { type: 'number', integer: true, minimum: 1 },
+      pageSize: { type: 'number', integer: true, minimum: 1 }
+    }
+  },
+  'search-suggest': {
+    type: 'object',
+    properties: { chainId: chainIdSchema, query: { type: 'string', maxLength: 256 } }
+  },
+  'get-token-details': {
+    type: 'object',
+    required: ['contractAddress'],
+    properties: { chainId: chainIdSchema, contractAddress: { type: 'address' }, checksum: { type: 'boolean' } }
+  },
+  'get-tokens-by-address': {
+    type: 'object',
+    required: ['contractAddresses'],
+    properties: {
+      chainId: chainIdSchema,
+      contractAddresses: { type: 'array', maxItems: MAX_BATCH_LOOKUP, items: { type: 'string', maxLength: 64 } },
+      checksum: { type: 'boolean' }
+    }
+  },
+  'alert-create': {
+    type: 'object',
+    required: ['contractAddress', 'type', 'threshold'],
+    properties: {
+      chainId: chainIdSchema,
+      contractAddress: { type: 'address' },
+      type: { type: 'string', enum: Object.keys(ALERT_TYPES) },
+      threshold: { type: 'number' },
+      webhookUrl: { type: 'string', maxLength: 2048 },
+      cooldownSeconds: { type: 'number', integer: true }
+    }
+  },
+  'alert-list': { type: 'any' },
+  'alert-delete': { type: 'object', required: ['alertId'], properties: { alertId: { type: 'string', maxLength: 64 } } },
+  'subscribe-new-tokens': {
+    type: 'object',
+    optional: true,
+    properties: {
+      chainId: chainIdSchema,
+      sinceBlock: { type: 'number', integer: true, minimum: 0 },
+      after: { type: 'string', maxLength: 512 }
+    }
+  },
+  'unsubscribe-new-tokens': { type: 'any' },
+  'get-leaderboard': leaderboardSchema,
+  'subscribe-leaderboard': leaderboardSchema,
+  'unsubscribe-leaderboard': leaderboardSchema,
+  'get-candles': candleSchema,
+  'unsubscribe-candles': candleSchema,
+  'get-token': { type: 'address' }
+};
+
+// Error codes of the socket error envelope, by the HTTP status of httpError()s
+const STATUS_ERROR_CODES = {
+  400: 'invalid_params',
+  401: 'unauthorized',
+  403: 'forbidden',
+  404: 'not_found',
+  409: 'conflict'
+};
 
 async function startServer() {
+  // Listen right away so the health endpoints answer while MongoDB connects
+  server.listen(config.port, () => {
+    logger.info('Server listening', { port: config.port });
+  });
+  
+  await connectMongo();
+  
   try {
-    await client.connect();
-    console.log('Connected to MongoDB');
-    
-    const db = client.db('v2'); // Connect to v2 database
+    const db = client.db(config.mongoDbName); // v2 unless configured otherwise
     const tokensCollection = db.collection('tokens'); // Use the tokens collection in v2 database
     
+    // Contract addresses are stored lowercase and looked up by exact match
+    await normalizeStoredAddresses(tokensCollection);
+    await tokensCollection.createIndex({ contractAddress: 1 });
+    await tokensCollection.createIndex({ chainId: 1, contractAddress: 1 });
+
+    // Used signature nonces expire together with the signature they belong to
+    await db.collection('auth_nonces').createIndex({ expiresAt: 1 }, { expireAfterSeconds: 0 });
+    
+    // Time-series collection holding the price snapshots behind the candle API
+    await ensurePriceHistoryCollection(db);
+    await db.collection('global_stats_history').createIndex(
+      { timestamp: 1 },
+      { expireAfterSeconds: GLOBAL_STATS_RETENTION_DAYS * 24 * 60 * 60 }
+    );
+    await db.collection('global_stats_history').createIndex({ chainId: 1, timestamp: 1 });
+
+    // Active price alerts, checked against every change event. The same alert
+    // may exist once per chain, so the chain-less unique index is replaced.
+    await db.collection('alerts').dropIndex('wallet_1_contractAddress_1_type_1_threshold_1').catch(() => {});
+    await db.collection('alerts').createIndex(
+      { wallet: 1, chainId: 1, contractAddress: 1, type: 1, threshold: 1 },
+      { unique: true }
+    );
+    // Seed the per-wallet alert counts for wallets that have none yet; live
+    // counts are kept by createAlert and deleteAlert and left alone here
+    await db.collection('alerts').aggregate([
+      { $group: { _id: '$wallet', count: { $sum: 1 } } },
+      { $merge: { into: 'alert_counts', whenMatched: 'keepExisting', whenNotMatched: 'insert' } }
+    ]).toArray();
+    await loadAlerts(db);
+
+    // Top market cap and volume tokens are cached per chain and maintained from the change stream
+    await Promise.all(chainScopes().flatMap(chainId =>
+      Object.keys(TOP_TOKEN_RANKINGS).map(ranking => loadTopTokens(db, chainId, ranking))
+    ));
+    
+    // Compute global stats and leaderboards now and keep them fresh
+    scheduleGlobalStats(db);
+    scheduleLeaderboards(db);
+    
+    // Deliver queued webhook events
+    await db.collection('token_metadata_history').createIndex(
+      { chainId: 1, contractAddress: 1, version: -1 },
+      { unique: true }
+    );
+    
+    await db.collection('webhook_deliveries').createIndex({ status: 1, nextAttemptAt: 1 });
+    await db.collection('webhook_deliveries').createIndex({ subscriptionId: 1, createdAt: -1 });
+    await db.collection('webhook_deliveries').createIndex(
+      { createdAt: 1 },
+      { expireAfterSeconds: WEBHOOK_DELIVERY_RETENTION_DAYS * 24 * 60 * 60 }
+    );
+    scheduleWebhookDeliveries(db);
+    
     // Check available fields in the collection
-    const sampleToken = await tokensCollection.findOne({});
-    console.log('V2 Database - Sample token structure:', JSON.stringify(sampleToken, null, 2));
-    console.log('V2 Database - Available fields:', Object.keys(sampleToken || {}).join(', '));
+    if (logger.isLevelEnabled('debug')) {
+      const sampleToken = await tokensCollection.findOne({});
+      logger.debug('V2 Database - Sample token structure', { sampleToken });
+      logger.debug('V2 Database - Available fields', { fields: Object.keys(sampleToken || {}) });
+    }
     
-    // Set up WebSocket connection handlers
-    io.on('connection', (socket) => {
-      console.log('Client connected:', socket.id);
-      console.log('Client origin:', socket.handshake.headers.origin);
-      
-      // Add viewport tracking handler
-      socket.on('viewport-tokens', (tokenAddresses) => {
-        userViewportTokens.set(socket.id, new Set(tokenAddresses));
-      });
+    scheduleRateLimitSweep();
+    scheduleLivePriceSweep();
+    
+    if (!PER_IP_LIMITS) {
+      logger.warn('TRUST_PROXY_HOPS is not set, per-IP limits are off');
+    }
+    
+    // Cap the open sockets and the connection rate of each IP
+    io.use((socket, next) => {
+      const ip = socketClientIp(socket);
+      const retryAfterMs = takeIpRateLimitToken(`connect:${ip}`, RATE_LIMITS.connection);
+      if (retryAfterMs || (PER_IP_LIMITS && (connectionsByIp.get(ip) || 0) >= MAX_CONNECTIONS_PER_IP)) {
+        const err = new Error('Too many connections');
+        err.data = { code: 'rate_limited', retryAfter: Math.max(Math.ceil(retryAfterMs / 1000), 1) };
+        return next(err);
+      }
       
-      // Handle ping events from client with pong response
-      socket.on('ping', () => {
-        console.log(`Ping received from ${socket.id}, sending pong`);
-        socket.emit('pong');
+      socket.data.ip = ip;
+      socket.data.rateBuckets = new Map(); // event -> bucket
+      connectionsByIp.set(ip, (connectionsByIp.get(ip) || 0) + 1);
+      socket.on('disconnect', () => {
+        const open = connectionsByIp.get(ip) - 1;
+        if (open > 0) {
+          connectionsByIp.set(ip, open);
+        } else {
+          connectionsByIp.delete(ip);
+        }
       });
+      next();
+    });
+    
+    // Set up WebSocket connection handlers
+    io.on('connection', (socket) => {
+      // Every log line of the socket carries its id
+      socket.data.log = logger.child({ socketId: socket.id });
+      socket.data.log.info('Client connected', { ip: socket.data.ip, origin: socket.handshake.headers.origin });
       
-      // Send initial data when client connects
-      sendInitialData(socket, db);
+      // Late joiners learn about an ongoing outage too
+      if (degradedSince) {
+        socket.emit('degraded', degradedPayload());
+      }
       
-      // NEW: Handle global statistics request
-      socket.on('get-global-stats', async () => {
-        try {
-          console.log(`[Server] Client ${socket.id} requested global statistics`);
-          
-          // Aggregate to calculate global statistics across ALL tokens except WETH
-          const aggregateResult = await tokensCollection.aggregate([
-            {
-              $match: {
-                $and: [
-                  { symbol: { $ne: 'WETH' } },
-                  { contractAddress: { $ne: '0x4200000000000000000000000000000000000006' } }
-                ]
-              }
-            },
-            {
-              $group: {
-                _id: null,
-                totalVolume: { $sum: { $ifNull: ["$volume_usd_24h", 0] } },
-                totalMarketCap: { $sum: { $ifNull: ["$market_cap_usd", 0] } },
-                totalTokens: { $sum: 1 },
-                total24hVolume: { 
-                  $sum: { 
-                    $add: [
-                      { $ifNull: ["$volume_usd_h1", 0] },
-                      { $ifNull: ["$volume_usd_h6", 0] }
-                    ]
-                  }
-                }
-              }
-            }
-          ]).toArray();
-          
-          // Extract result or use defaults
-          const globalStats = aggregateResult.length > 0 ? {
-            totalVolume: aggregateResult[0].totalVolume || 0,
-            totalMarketCap: aggregateResult[0].totalMarketCap || 0,
-            totalTokens: aggregateResult[0].totalTokens || 0,
-            total24hVolume: aggregateResult[0].total24hVolume || 0
-          } : {
-            totalVolume: 0,
-            totalMarketCap: 0,
-            totalTokens: await tokensCollection.countDocuments(),
-            total24hVolume: 0
-          };
-          
-          console.log(`[Server] Global stats calculated: ${JSON.stringify(globalStats)}`);
-          
-          // Send to requesting client
-          socket.emit('global-stats-update', globalStats);
-          
-        } catch (err) {
-          console.error('[Server] Error calculating global stats:', err);
-          socket.emit('error', { message: 'Failed to calculate global statistics' });
+      // Token rooms are the union of explicit subscriptions, the viewport
+      // and the authenticated wallet's watchlist
+      socket.data.subscriptions = new Set();
+      socket.data.viewportTokens = new Set();
+      socket.data.watchlistTokens = new Set();
+      socket.data.wallet = null;
+
+      // The chain this socket lists tokens from, picked with ?chainId= on the
+      // handshake or the set-chain event
+      const requestedChainId = parseChainId(socket.handshake.query.chainId);
+      if (requestedChainId === null) {
+        socket.emit('error', {
+          event: 'connection',
+          code: 'invalid_params',
+          message: 'Unsupported chainId, using the default chain',
+          requestId: null
+        });
+      }
+      socket.data.chainId = requestedChainId === null ? DEFAULT_CHAIN_ID : requestedChainId;
+      socket.join(chainRoom(socket.data.chainId));
+
+      // Switch chains; the initial data is sent again for the new chain
+      onSocketEvent(socket, 'set-chain', (params, reply) => {
+        const chainId = parseChainId(params.chainId);
+        if (chainId === null) {
+          throw socketError('invalid_params', 'Unsupported chainId');
         }
-      });
-      
-      // Handle get-tokens event for sorting and pagination
-      socket.on('get-tokens', async (params) => {
-        try {
-          let sortQuery = {};
-          
-          if (params.sort === 'marketCap') {
-            sortQuery.market_cap_usd = params.direction === 'asc' ? 1 : -1;
-          } else if (params.sort === 'volume') {
-            sortQuery.volume_usd_24h = params.direction === 'asc' ? 1 : -1;
-          } else if (params.sort === 'blockNumber') {
-            // For block number sorting, we'll use a compound sort to handle null values
-            sortQuery = {
-              blockNumber: params.direction === 'asc' ? 1 : -1
-            };
-          } else {
-            sortQuery.price_usd = params.direction === 'asc' ? 1 : -1;
-          }
-          
-          const page = params.page || 1;
-          const pageSize = 10;
-          
-          // Exclude WETH tokens and contract address
-          const query = {
-            $and: [
-              { symbol: { $ne: 'WETH' } },
-              { contractAddress: { $ne: '0x4200000000000000000000000000000000000006' } }
-            ]
-          };
 
-          // If sorting by block number, ensure we only get tokens with block numbers
-          if (params.sort === 'blockNumber') {
-            query.blockNumber = { $exists: true, $ne: null, $gt: 0 };
-          }
+        socket.leave(chainRoom(socket.data.chainId));
+        socket.data.chainId = chainId;
+        socket.join(chainRoom(chainId));
 
-          console.log('Sort Query:', sortQuery);
-          console.log('Filter Query:', query);
+        reply(null, { chainId });
+        sendInitialData(socket, db);
+      });
 
-          const tokens = await tokensCollection.find(query)
-            .sort(sortQuery)
-            .skip((page - 1) * pageSize)
-            .limit(pageSize)
-            .toArray();
-          
-          // Log the first few tokens for debugging
-          if (tokens.length > 0) {
-            console.log('First few tokens in result:');
-            tokens.slice(0, 3).forEach(token => {
-              console.log({
-                name: token.name,
-                blockNumber: token.blockNumber,
-                sortField: params.sort
-              });
-            });
-          }
+      onSocketEvent(socket, 'get-chains', (params, reply) => {
+        reply('chains', { chains: CHAINS, defaultChainId: DEFAULT_CHAIN_ID, chainId: socket.data.chainId });
+      });
 
-          const transformedTokens = tokens.map(token => ({
-            ...token,
-            price_usd: token.price_usd || 0,
-            market_cap_usd: token.market_cap_usd || 0,
-            volume_usd_24h: token.volume_usd_24h || 0,
-            blockNumber: token.blockNumber || 0
-          }));
-            
-          const totalCount = await tokensCollection.countDocuments(query);
-          const totalPages = Math.ceil(totalCount / pageSize);
-          
-          socket.emit('tokens-list-update', {
-            tokens: transformedTokens,
-            totalPages
-          });
-        } catch (err) {
-          console.error('Error fetching tokens:', err);
-          socket.emit('error', { message: 'Failed to fetch tokens' });
+      // Prove ownership of a wallet with a signed 'authenticate' message
+      onSocketEvent(socket, 'authenticate-wallet', async (params, reply) => {
+        const { nonce, expiresAt, signature } = params;
+        const wallet = await verifyWalletSignature(db, { action: 'authenticate', nonce, expiresAt, signature });
+        
+        if (socket.data.wallet && socket.data.wallet !== wallet) {
+          socket.leave(walletRoom(socket.data.wallet));
         }
+        socket.data.wallet = wallet;
+        socket.join(walletRoom(wallet));
+        
+        // Auto-subscribe to everything on the wallet's watchlist
+        const watchlist = await getWatchlist(db, wallet);
+        socket.data.watchlistTokens = new Set(watchlist);
+        syncTokenRooms(socket);
+        
+        reply('wallet-authenticated', { wallet, watchlist: formatTokenKeys(watchlist) });
       });
       
-      // Handle search tokens
-      socket.on('search-tokens', async (params) => {
-        try {
-          console.log('Search request received:', params.query);
-          
-          // Create search query with multiple conditions
-          const searchQuery = {
-            $and: [
-              // Exclude WETH tokens and contract address
-              { symbol: { $ne: 'WETH' } },
-              { contractAddress: { $ne: '0x4200000000000000000000000000000000000006' } },
-              // Search conditions
-              {
-                $or: [
-                  { name: { $regex: params.query, $options: 'i' } },
-                  { symbol: { $regex: params.query, $options: 'i' } },
-                  { contractAddress: { $regex: params.query, $options: 'i' } }
-                ]
-              }
-            ]
-          };
-
-          // Fetch all matching tokens (no pagination for search)
-          const searchResults = await tokensCollection.find(searchQuery)
-            .sort({ market_cap_usd: -1 })
-            .toArray();
-
-          console.log(`Found ${searchResults.length} tokens matching search query`);
-
-          // Transform results to ensure all required fields
-          const transformedResults = searchResults.map(token => ({
-            ...token,
-            price_usd: token.price_usd || 0,
-            market_cap_usd: token.market_cap_usd || 0,
-            volume_usd_24h: token.volume_usd_24h || 0,
-            blockNumber: token.blockNumber || 0
-          }));
-
-          // Send search results back to client
-          socket.emit('search-results', {
-            tokens: transformedResults,
-            query: params.query // Send back the query for reference
-          });
-        } catch (err) {
-          console.error('Error performing search:', err);
-          socket.emit('error', { 
-            message: 'Failed to perform search',
-            details: err.message
-          });
-        }
+      onSocketEvent(socket, 'watchlist-get', async (params, reply) => {
+        requireSocketWallet(socket);
+        reply('watchlist', await buildWatchlistPayload(db, socket.data.wallet));
       });
       
-      // Handle token details request
-      socket.on('get-token-details', async (params) => {
-        try {
-          console.group('Token Details Request Diagnostics');
-          console.log('Received Contract Address:', params.contractAddress);
+      // watchlist-add / watchlist-remove take { chainId, contractAddresses: [...] }
+      ['add', 'remove'].forEach(operation => {
+        onSocketEvent(socket, `watchlist-${operation}`, async (params, reply) => {
+          requireSocketWallet(socket);
           
-          // Comprehensive lookup strategies
-          const lookupStrategies = [
-            // 1. Exact match (case-sensitive)
-            async () => await tokensCollection.findOne({ 
-              contractAddress: params.contractAddress 
-            }),
-            
-            // 2. Case-insensitive match
-            async () => await tokensCollection.findOne({ 
-              contractAddress: { $regex: `^${params.contractAddress}$`, $options: 'i' } 
-            }),
-            
-            // 3. Partial case-insensitive match
-            async () => await tokensCollection.findOne({ 
-              contractAddress: { $regex: params.contractAddress, $options: 'i' } 
-            }),
-            
-            // 4. Normalized address (remove 0x prefix, convert to lowercase)
-            async () => {
-              const normalizedAddress = params.contractAddress.toLowerCase().replace(/^0x/, '');
-              return await tokensCollection.findOne({ 
-                contractAddress: { $regex: normalizedAddress, $options: 'i' } 
-              });
-            }
-          ];
-
-          // Track diagnostic information
-          const diagnosticInfo = {
-            originalAddress: params.contractAddress,
-            matchAttempts: [],
-            foundToken: null
-          };
-
-          // Try each lookup strategy
-          for (const [index, strategy] of lookupStrategies.entries()) {
-            try {
-              const result = await strategy();
-              diagnosticInfo.matchAttempts.push({
-                strategy: index + 1,
-                result: result ? 'MATCH' : 'NO MATCH'
-              });
-
-              if (result) {
-                diagnosticInfo.foundToken = result;
-                
-                // Ensure all required fields exist with V2 schema fields
-                const transformedToken = { ...result };
-                transformedToken.price_usd = transformedToken.price_usd || 0;
-                transformedToken.market_cap_usd = transformedToken.market_cap_usd || 0;
-                transformedToken.volume_usd_24h = transformedToken.volume_usd_24h || 0;
-                transformedToken.volume_usd_h1 = transformedToken.volume_usd_h1 || 0;
-                transformedToken.volume_usd_h6 = transformedToken.volume_usd_h6 || 0;
-                transformedToken.blockNumber = transformedToken.blockNumber || 0;
-                transformedToken.pool_reserve_in_usd = transformedToken.pool_reserve_in_usd || 0;
-                transformedToken.totalSupply = transformedToken.totalSupply || "0";
-                transformedToken.totalSupplyRaw = transformedToken.totalSupplyRaw || "0";
-                transformedToken.decimals = transformedToken.decimals || 18;
-                transformedToken.__v = transformedToken.__v || 0;
-                transformedToken.createdAt = transformedToken.createdAt || new Date().toISOString();
-                transformedToken.updatedAt = transformedToken.updatedAt || new Date().toISOString();
-                transformedToken.last_updated = transformedToken.last_updated || new Date().toISOString();
-                
-                console.log('Token Found - Diagnostic Details:', {
-                  matchStrategy: index + 1,
-                  tokenName: transformedToken.name,
-                  contractAddress: transformedToken.contractAddress,
-                  symbol: transformedToken.symbol
-                });
-                
-                // Send successful response
-                socket.emit('token-details', transformedToken);
-                
-                console.log('Diagnostic Info:', JSON.stringify(diagnosticInfo, null, 2));
-                console.groupEnd();
-                return;
-              }
-            } catch (strategyError) {
-              console.warn(`Lookup Strategy ${index + 1} Failed:`, strategyError);
-              diagnosticInfo.matchAttempts.push({
-                strategy: index + 1,
-                error: strategyError.message
-              });
-            }
+          const tokenChainId = parseTokenChainId(params.chainId, socketTokenChain(socket));
+          if (tokenChainId === null) {
+            throw socketError('invalid_params', 'Unsupported chainId');
           }
-
-          // If no token found after all strategies
-          console.warn('No token found after all lookup strategies');
-          console.log('Diagnostic Info:', JSON.stringify(diagnosticInfo, null, 2));
-          
-          // Additional debugging - list all contract addresses in the collection
-          const allAddresses = await tokensCollection.distinct('contractAddress');
-          console.log('Total Unique Contract Addresses:', allAddresses.length);
-          console.log('First 10 Contract Addresses:', allAddresses.slice(0, 10));
           
-          // Check if address is close to any existing address
-          const similarAddresses = allAddresses.filter(addr => 
-            addr.toLowerCase().includes(params.contractAddress.toLowerCase()) ||
-            params.contractAddress.toLowerCase().includes(addr.toLowerCase())
-          );
-          console.log('Similar Addresses:', similarAddresses);
-
-          // Send error response
-          socket.emit('error', { 
-            message: 'Token not found',
-            details: {
-              contractAddress: params.contractAddress,
-              diagnosticInfo
-            }
-          });
+          const tokens = normalizeTokenList(params.contractAddresses, tokenChainId);
+          const watchlist = await updateWatchlist(db, socket.data.wallet, { [operation]: tokens });
           
-          console.groupEnd();
-        } catch (err) {
-          console.error('Critical error in token details request:', err);
-          socket.emit('error', { 
-            message: 'Failed to fetch token details', 
-            error: err.message 
-          });
-        }
+          reply(null, { wallet: socket.data.wallet, watchlist: formatTokenKeys(watchlist) });
+        });
       });
       
-      // Keep-alive periodic check
-      const keepAliveInterval = setInterval(() => {
-        if (socket.connected) {
-          socket.emit('keep-alive', { timestamp: Date.now() });
-        }
-      }, 30000); // 30 seconds
+      // Subscribe to live token-updates for a list of contract addresses, or
+      // of { chainId, contractAddress } objects for tokens on other chains
+      onSocketEvent(socket, 'subscribe-tokens', (tokenAddresses, reply) => {
+        const subscribed = [];
+        const rejected = [];
+        
+        normalizeTokenList(tokenAddresses, socketTokenChain(socket)).forEach(key => {
+          if (!socket.data.subscriptions.has(key) &&
+              countTokenSubscriptions(socket) >= MAX_SUBSCRIPTIONS_PER_SOCKET) {
+            rejected.push(key);
+            return;
+          }
+          socket.data.subscriptions.add(key);
+          subscribed.push(key);
+        });
+        
+        syncTokenRooms(socket);
+        
+        reply(null, {
+          subscribed: formatTokenKeys(subscribed),
+          rejected: formatTokenKeys(rejected),
+          total: countTokenSubscriptions(socket),
+          limit: MAX_SUBSCRIPTIONS_PER_SOCKET
+        });
+      });
       
-      socket.on('disconnect', () => {
-        console.log('Client disconnected:', socket.id);
-        userViewportTokens.delete(socket.id);
-        clearInterval(keepAliveInterval);
+      // Unsubscribe from live token-updates
+      onSocketEvent(socket, 'unsubscribe-tokens', (tokenAddresses, reply) => {
+        const unsubscribed = normalizeTokenList(tokenAddresses, socketTokenChain(socket))
+          .filter(key => socket.data.subscriptions.delete(key));
+        
+        syncTokenRooms(socket);
+        
+        reply(null, { unsubscribed: formatTokenKeys(unsubscribed), total: countTokenSubscriptions(socket) });
       });
-    });
-    
-    // Set up MongoDB Change Stream
-    const changeStream = tokensCollection.watch();
-    
-    changeStream.on('change', (change) => {
-      console.log('Change detected:', change.operationType);
       
-      if (change.operationType === 'update' || 
-          change.operationType === 'replace' || 
-          change.operationType === 'insert') {
+      // Compatibility shim: the viewport replaces the previous viewport set
+      // and shares the per-socket subscription cap
+      onSocketEvent(socket, 'viewport-tokens', (tokenAddresses, reply) => {
+        socket.data.viewportTokens = new Set(
+          normalizeTokenList(tokenAddresses, socketTokenChain(socket)).slice(0, MAX_SUBSCRIPTIONS_PER_SOCKET)
+        );
+        syncTokenRooms(socket);
+        reply(null, { total: countTokenSubscriptions(socket) });
+      });
+      
+      // Handle ping events from client with pong response
+      onSocketEvent(socket, 'ping', (params, reply, log) => {
+        log.sampled('pings').debug('Ping received, sending pong');
+        reply('pong');
+      });
+      
+      // Send initial data when client connects
+      sendInitialData(socket, db);
+      
+      // Tell the client which update stream it is on, for replay-updates
+      socket.emit('stream-info', { streamId: STREAM_ID, latestSeq: lastStreamSeq });
+      
+      // Replay deltas missed while disconnected. Clients should subscribe first,
+      // since only deltas for currently subscribed tokens are replayed.
+      onSocketEvent(socket, 'replay-updates', (params, reply) => {
+        const streamId = params.streamId;
+        const lastSeq = params.lastSeq === undefined ? undefined : Number(params.lastSeq);
+        const oldestSeq = recentDeltas.length > 0 ? recentDeltas[0].streamSeq : lastStreamSeq + 1;
+        const complete = streamId === STREAM_ID &&
+          Number.isInteger(lastSeq) &&
+          lastSeq >= oldestSeq - 1 &&
+          lastSeq <= lastStreamSeq;
         
-        // Fetch the updated document
-        tokensCollection.findOne({ _id: change.documentKey._id })
-          .then(updatedToken => {
-            if (!updatedToken) return;
-            
-            // Ensure all required fields exist with defaults if needed
-            const transformedToken = { ...updatedToken };
-            transformedToken.price_usd = transformedToken.price_usd || 0;
-            transformedToken.market_cap_usd = transformedToken.market_cap_usd || 0;
-            transformedToken.volume_usd_24h = transformedToken.volume_usd_24h || 0;
-            transformedToken.blockNumber = transformedToken.blockNumber || 0;
-            
-            // Add to update queue instead of broadcasting immediately
-            updateQueue.push(transformedToken);
-            
-            // Process queue if not already scheduled
-            if (!batchTimeout) {
-              batchTimeout = setTimeout(() => {
-                processUpdateQueue();
-              }, 100);
-            }
-          })
-          .catch(err => {
-            console.error('Error fetching updated document:', err);
-          });
-      }
-    });
-    
-    // Set up top tokens change stream
-    const topTokensChangeStream = tokensCollection.watch();
-    
-    topTokensChangeStream.on('change', async (change) => {
-      try {
-        const topMarketCapToken = await tokensCollection.find({
-          $and: [
-            { symbol: { $ne: 'WETH' } },
-            { contractAddress: { $ne: '0x4200000000000000000000000000000000000006' } }
-          ]
-        }).sort({ market_cap_usd: -1 }).limit(1).toArray();
+        const subscribed = getSubscribedTokens(socket);
+        const deltas = complete
+          ? recentDeltas.filter(delta =>
+            delta.streamSeq > lastSeq && subscribed.has(tokenKey(delta.chainId, delta.contractAddress))
+          )
+          : [];
         
-        const topVolumeToken = await tokensCollection.find({
-          $and: [
-            { symbol: { $ne: 'WETH' } },
-            { contractAddress: { $ne: '0x4200000000000000000000000000000000000006' } }
-          ]
-        }).sort({ volume_usd_24h: -1 }).limit(1).toArray();
-        
-        if (topMarketCapToken.length > 0 && topVolumeToken.length > 0) {
-          // Ensure all required fields exist with defaults if needed
-          const transformedMarketCapToken = { ...topMarketCapToken[0] };
-          transformedMarketCapToken.price_usd = transformedMarketCapToken.price_usd || 0;
-          transformedMarketCapToken.market_cap_usd = transformedMarketCapToken.market_cap_usd || 0;
-          transformedMarketCapToken.volume_usd_24h = transformedMarketCapToken.volume_usd_24h || 0;
-          transformedMarketCapToken.blockNumber = transformedMarketCapToken.blockNumber || 0;
-          
-          const transformedVolumeToken = { ...topVolumeToken[0] };
-          transformedVolumeToken.price_usd = transformedVolumeToken.price_usd || 0;
-          transformedVolumeToken.market_cap_usd = transformedVolumeToken.market_cap_usd || 0;
-          transformedVolumeToken.volume_usd_24h = transformedVolumeToken.volume_usd_24h || 0;
-          transformedVolumeToken.blockNumber = transformedVolumeToken.blockNumber || 0;
-          
-          io.emit('top-tokens-update', {
-            topMarketCapToken: transformedMarketCapToken,
-            topVolumeToken: transformedVolumeToken
-          });
+        // complete: false means the gap can't be filled and the client should reload
+        reply(null, { streamId: STREAM_ID, latestSeq: lastStreamSeq, complete, deltas });
+      });
+      
+      // NEW: Handle global statistics request; { chainId } defaults to the socket's chain
+      onSocketEvent(socket, 'get-global-stats', async (params, reply, log) => {
+        log.debug('Global statistics requested');
+        
+        const chainId = parseChainId(params.chainId, socket.data.chainId);
+        if (chainId === null) {
+          throw socketError('invalid_params', 'Unsupported chainId');
         }
-      } catch (err) {
-        console.error('Error fetching top tokens:', err);
-      }
-    });
-    
-    // NEW: Set up HTTP API endpoint for global stats
-    app.get('/api/global-stats', async (req, res) => {
-      try {
-        console.log('[Server] Received HTTP request for global stats');
         
-        // Aggregate to calculate global statistics
-        const aggregateResult = await tokensCollection.aggregate([
-          {
-            $group: {
-              _id: null,
-              totalVolume: { $sum: { $ifNull: ["$volume_usd_24h", 0] } },
-              totalMarketCap: { $sum: { $ifNull: ["$market_cap_usd", 0] } },
-              totalTokens: { $sum: 1 }
-            }
-          }
-        ]).toArray();
-        
-        // Extract result or use defaults
-        const globalStats = aggregateResult.length > 0 ? {
-          totalVolume: aggregateResult[0].totalVolume || 0,
-          totalMarketCap: aggregateResult[0].totalMarketCap || 0,
-          totalTokens: aggregateResult[0].totalTokens || 0
-        } : {
-          totalVolume: 0,
-          totalMarketCap: 0,
-          totalTokens: await tokensCollection.countDocuments()
-        };
+        reply('global-stats-update', await getGlobalStats(db, chainId));
+      });
+      
+      // Handle get-tokens event for sorting, filtering and pagination
+      onSocketEvent(socket, 'get-tokens', async (params, reply) => {
+        const { error, listQuery } = buildTokenListQuery(params, socket.data.chainId);
+        if (error) {
+          throw socketError('invalid_params', error);
+        }
         
-        console.log(`[Server] HTTP global stats response: ${JSON.stringify(globalStats)}`);
+        reply('tokens-list-update', await fetchTokenPage(tokensCollection, listQuery));
+      });
+      
+      // Handle search tokens: ranked, paginated results
+      onSocketEvent(socket, 'search-tokens', async (params, reply, log) => {
+        const { query, page = 1, pageSize = SEARCH_DEFAULT_PAGE_SIZE } = params;
+        const term = query.trim();
         
-        res.json(globalStats);
+        if (term.length > SEARCH_MAX_QUERY_LENGTH) {
+          throw socketError('invalid_params', `Search query must be at most ${SEARCH_MAX_QUERY_LENGTH} characters`);
+        }
         
-      } catch (err) {
-        console.error('Error calculating global stats for HTTP endpoint:', err);
-        res.status(500).json({ error: 'Failed to calculate global statistics' });
-      }
-    });
-    
-    // Set up HTTP API endpoint for token details as CORS fallback
-    app.get('/api/tokens/:contractAddress', async (req, res) => {
-      try {
-        const { contractAddress } = req.params;
-        console.log(`HTTP API request for token: ${contractAddress}`);
+        const chainId = parseChainId(params.chainId, socket.data.chainId);
+        if (chainId === null) {
+          throw socketError('invalid_params', 'Unsupported chainId');
+        }
         
-        const tokenDetails = await tokensCollection.findOne({ contractAddress });
+        const limit = Math.min(Math.max(parseInt(pageSize, 10) || SEARCH_DEFAULT_PAGE_SIZE, 1), SEARCH_MAX_PAGE_SIZE);
+        const currentPage = Math.max(parseInt(page, 10) || 1, 1);
         
-        if (tokenDetails) {
-          // Ensure all required fields exist
-          const transformedToken = { ...tokenDetails };
-          transformedToken.price_usd = transformedToken.price_usd || 0;
-          transformedToken.market_cap_usd = transformedToken.market_cap_usd || 0;
-          transformedToken.volume_usd_24h = transformedToken.volume_usd_24h || 0;
-          transformedToken.blockNumber = transformedToken.blockNumber || 0;
-          
-          res.json(transformedToken);
+        log.debug('Search request received', { term, chainId, page: currentPage });
+        
+        const { tokens, hasMore } = term
+          ? await searchTokens(tokensCollection, term, { chainId, skip: (currentPage - 1) * limit, limit })
+          : { tokens: [], hasMore: false };
+        
+        // Send search results back to client
+        reply('search-results', {
+          tokens: tokens.map(token => formatToken(token)),
+          query, // Send back the query for reference
+          chainId,
+          page: currentPage,
+          pageSize: limit,
+          hasMore
+        });
+      });
+      
+      // Autocomplete suggestions, debounced per socket so only the latest
+      // query typed within the debounce window is run. An ack is answered
+      // too when its query is overtaken, with no suggestions.
+      onSocketEvent(socket, 'search-suggest', (params, reply, log) => {
+        const query = typeof params.query === 'string' ? params.query.trim() : '';
+        const chainId = parseChainId(params.chainId, socket.data.chainId);
+        
+        socket.data.latestSuggestQuery = query;
+        clearTimeout(socket.data.suggestTimer);
+        if (socket.data.pendingSuggestReply) {
+          socket.data.pendingSuggestReply(null, { query: socket.data.pendingSuggestQuery, chainId, suggestions: [] });
+          socket.data.pendingSuggestReply = null;
+        }
+        
+        if (!query || query.length > SEARCH_MAX_QUERY_LENGTH || chainId === null) {
+          return reply('search-suggestions', { query, chainId, suggestions: [] });
+        }
+        
+        socket.data.pendingSuggestReply = reply;
+        socket.data.pendingSuggestQuery = query;
+        socket.data.suggestTimer = setTimeout(async () => {
+          socket.data.pendingSuggestReply = null;
+          try {
+            const { tokens } = await searchTokens(tokensCollection, query, {
+              chainId,
+              limit: SEARCH_SUGGEST_LIMIT,
+              projection: {
+                chainId: 1, contractAddress: 1, name: 1, symbol: 1, image: 1, price_usd: 1, market_cap_usd: 1,
+                flagged: 1, flagReason: 1, verified: 1
+              }
+            });
+            
+            // Responses overtaken by a newer query only answer the ack
+            if (socket.data.latestSuggestQuery !== query) {
+              return reply(null, { query, chainId, suggestions: [] });
+            }
+            reply('search-suggestions', {
+              query,
+              chainId,
+              suggestions: tokens.map(token => ({ ...token, chainId: tokenChainId(token), ...moderationStatus(token) }))
+            });
+          } catch (err) {
+            log.error('Error fetching search suggestions', err);
+            reply('search-suggestions', { query, chainId, suggestions: [] });
+          }
+        }, SEARCH_SUGGEST_DEBOUNCE_MS);
+      });
+      
+      // Handle token details request
+      onSocketEvent(socket, 'get-token-details', async (params, reply) => {
+        const contractAddress = normalizeAddress(params.contractAddress);
+        const chainId = parseTokenChainId(params.chainId, socketTokenChain(socket));
+        if (chainId === null) {
+          throw socketError('invalid_params', 'Unsupported chainId');
+        }
+        
+        const token = await findToken(tokensCollection, chainId, contractAddress);
+        
+        if (!token) {
+          throw socketError('not_found', 'Token not found');
+        }
+        
+        // Ensure all required fields exist with V2 schema fields
+        const transformedToken = formatToken(token, { checksum: params.checksum });
+        transformedToken.volume_usd_h1 = transformedToken.volume_usd_h1 || 0;
+        transformedToken.volume_usd_h6 = transformedToken.volume_usd_h6 || 0;
+        transformedToken.pool_reserve_in_usd = transformedToken.pool_reserve_in_usd || 0;
+        transformedToken.totalSupply = transformedToken.totalSupply || "0";
+        transformedToken.totalSupplyRaw = transformedToken.totalSupplyRaw || "0";
+        transformedToken.decimals = transformedToken.decimals || 18;
+        transformedToken.__v = transformedToken.__v || 0;
+        transformedToken.createdAt = transformedToken.createdAt || new Date().toISOString();
+        transformedToken.updatedAt = transformedToken.updatedAt || new Date().toISOString();
+        transformedToken.last_updated = transformedToken.last_updated || new Date().toISOString();
+        
+        reply('token-details', transformedToken);
+      });
+      
+      // Fetch up to MAX_BATCH_LOOKUP tokens at once
+      onSocketEvent(socket, 'get-tokens-by-address', async (params, reply) => {
+        const chainId = parseTokenChainId(params.chainId, socketTokenChain(socket));
+        if (chainId === null) {
+          throw socketError('invalid_params', 'Unsupported chainId');
+        }
+        
+        reply('tokens-by-address', await lookupTokens(tokensCollection, params.contractAddresses, {
+          chainId,
+          checksum: params.checksum
+        }));
+      });
+      
+      // Price alerts of the authenticated wallet
+      onSocketEvent(socket, 'alert-create', async (params, reply) => {
+        requireSocketWallet(socket);
+        
+        const alert = await createAlert(db, socket.data.wallet, params, socketTokenChain(socket));
+        reply(null, { alert: formatAlert(alert) });
+      });
+      
+      onSocketEvent(socket, 'alert-list', async (params, reply) => {
+        requireSocketWallet(socket);
+        
+        const alerts = await db.collection('alerts')
+          .find({ wallet: socket.data.wallet })
+          .sort({ createdAt: -1 })
+          .toArray();
+        
+        reply('alerts', { alerts: alerts.map(formatAlert) });
+      });
+      
+      onSocketEvent(socket, 'alert-delete', async (params, reply) => {
+        requireSocketWallet(socket);
+        
+        const deleted = await deleteAlert(db, socket.data.wallet, params.alertId);
+        reply(null, { deleted });
+      });
+      
+      // Follow new launches of a chain, or of every chain. With sinceBlock,
+      // everything after that block is backfilled in order first; a truncated
+      // backfill returns nextCursor to continue with instead of going live.
+      onSocketEvent(socket, 'subscribe-new-tokens', async (params, reply) => {
+        const { sinceBlock, after, chainId } = params;
+        
+        const { error, query } = parseNewTokensQuery(
+          { sinceBlock, after, chainId, limit: MAX_NEW_TOKENS_LIMIT },
+          socket.data.chainId
+        );
+        if (error) {
+          throw socketError('invalid_params', error);
+        }
+        
+        if (sinceBlock === undefined && !after) {
+          socket.join(newTokensRoom(query.chainId));
+          return reply(null, { chainId: query.chainId, live: true, backfilled: 0 });
+        }
+        
+        const { tokens, nextCursor } = await fetchNewTokens(tokensCollection, query);
+        for (let i = 0; i < tokens.length; i += DEFAULT_NEW_TOKENS_LIMIT) {
+          socket.emit('new-tokens', tokens.slice(i, i + DEFAULT_NEW_TOKENS_LIMIT));
+        }
+        
+        if (nextCursor) {
+          return reply(null, { chainId: query.chainId, live: false, backfilled: tokens.length, nextCursor });
+        }
+        
+        // Go live, then send launches that arrived while the backfill ran:
+        // those ordered after the last token this or an earlier page sent
+        socket.join(newTokensRoom(query.chainId));
+        const lastToken = tokens[tokens.length - 1];
+        const lastSent = lastToken
+          ? { v: lastToken.blockNumber, id: lastToken._id }
+          : query.cursor || { v: query.sinceBlock, id: null };
+        const missed = recentLaunches.filter(token =>
+          (query.chainId === ALL_CHAINS || token.chainId === query.chainId) &&
+          isLaunchAfter(token, lastSent) &&
+          !isExcludedToken(token)
+        ).sort(compareLaunches);
+        if (missed.length > 0) {
+          socket.emit('new-tokens', missed);
+        }
+        
+        reply(null, { chainId: query.chainId, live: true, backfilled: tokens.length + missed.length });
+      });
+      
+      // Leaves the feed of every chain
+      onSocketEvent(socket, 'unsubscribe-new-tokens', (params, reply) => {
+        socket.rooms.forEach(room => {
+          if (room.startsWith(`${NEW_TOKENS_ROOM}:`)) {
+            socket.leave(room);
+          }
+        });
+        reply(null, { live: false });
+      });
+      
+      // Handle leaderboard request
+      onSocketEvent(socket, 'get-leaderboard', async (params, reply) => {
+        const chainId = parseChainId(params.chainId, socket.data.chainId);
+        if (chainId === null) {
+          throw socketError('invalid_params', 'Unsupported chainId');
+        }
+        
+        reply('leaderboard', await getLeaderboard(db, chainId, params.type, params.limit));
+      });
+      
+      // Subscribe to live leaderboard-update events; sends the current board
+      onSocketEvent(socket, 'subscribe-leaderboard', async (params, reply) => {
+        const chainId = parseChainId(params.chainId, socket.data.chainId);
+        if (chainId === null) {
+          throw socketError('invalid_params', 'Unsupported chainId');
+        }
+        
+        socket.join(leaderboardRoom(chainId, params.type));
+        reply('leaderboard-update', await getLeaderboard(db, chainId, params.type));
+      });
+      
+      onSocketEvent(socket, 'unsubscribe-leaderboard', (params, reply) => {
+        const chainId = parseChainId(params.chainId, socket.data.chainId);
+        if (chainId === null) {
+          throw socketError('invalid_params', 'Unsupported chainId');
+        }
+        
+        socket.leave(leaderboardRoom(chainId, params.type));
+        reply(null, { chainId, type: params.type });
+      });
+      
+      // Resend full documents for tokens whose delta sequence has a gap
+      onSocketEvent(socket, 'resync-tokens', async (tokenAddresses, reply) => {
+        const keys = normalizeTokenList(tokenAddresses, socketTokenChain(socket)).slice(0, MAX_RESYNC_TOKENS);
+        const tokens = keys.length > 0
+          ? await tokensCollection.find(tokenKeysFilter(keys)).toArray()
+          : [];
+        
+        reply('token-resync', {
+          tokens: tokens.map(token => {
+            const chainId = tokenChainId(token);
+            const address = token.contractAddress.toLowerCase();
+            return {
+              chainId,
+              contractAddress: address,
+              seq: tokenSequences.get(tokenKey(chainId, address)) || 0,
+              token: formatToken(token)
+            };
+          })
+        });
+      });
+      
+      // Handle OHLCV candle request; also subscribes the socket to live candle updates
+      onSocketEvent(socket, 'get-candles', async (params, reply) => {
+        const { error, query } = parseCandleQuery(params, socketTokenChain(socket));
+        if (error) {
+          throw socketError('invalid_params', error);
+        }
+        
+        const candles = await getCandles(db, query);
+        socket.join(candleRoom(query.chainId, query.contractAddress, query.resolution));
+        
+        reply('candles', {
+          chainId: query.chainId,
+          contractAddress: query.contractAddress,
+          resolution: query.resolution,
+          candles
+        });
+      });
+      
+      // Stop live candle updates for a token/resolution
+      onSocketEvent(socket, 'unsubscribe-candles', (params, reply) => {
+        const { error, query } = parseCandleQuery(params, socketTokenChain(socket));
+        if (error) {
+          throw socketError('invalid_params', error);
+        }
+        
+        socket.leave(candleRoom(query.chainId, query.contractAddress, query.resolution));
+        reply(null, { chainId: query.chainId, contractAddress: query.contractAddress, resolution: query.resolution });
+      });
+      
+      // Keep-alive periodic check
+      const keepAliveInterval = setInterval(() => {
+        if (socket.connected) {
+          socket.emit('keep-alive', { timestamp: Date.now() });
+        }
+      }, config.keepAliveIntervalMs);
+      
+      socket.on('disconnect', () => {
+        socket.data.log.info('Client disconnected');
+        clearInterval(keepAliveInterval);
+        clearTimeout(socket.data.suggestTimer);
+      });
+    });
+    
+    // Set up MongoDB Change Stream; updateLookup delivers the current document
+    // with each update so no extra findOne round-trip is needed
+    tokensChangeStream = watchWithResume(db, 'tokens', tokensCollection, { fullDocument: 'updateLookup' }, (change) => {
+      logger.sampled('changes').debug('Change detected', { operationType: change.operationType });
+      incrementCounter(metrics.changeEvents, change.operationType);
+      
+      if (change.operationType === 'update' || 
+          change.operationType === 'replace' || 
+          change.operationType === 'insert') {
+        
+        // The document can be gone by the time an update is looked up
+        if (!change.fullDocument || typeof change.fullDocument.contractAddress !== 'string') return;
+        
+        // The indexer may write checksummed addresses; everything downstream
+        // keys tokens by the lowercase form
+        const updatedToken = withLowercaseAddress(change.fullDocument);
+        tokenKeysById.set(String(updatedToken._id), tokenKey(tokenChainId(updatedToken), updatedToken.contractAddress));
+        
+        // Ensure all required fields exist with defaults if needed
+        const transformedToken = formatToken(updatedToken);
+        
+        // Record the price for candle history and live candle updates
+        recordPriceSnapshot(db, updatedToken).catch(err => {
+          logger.error('Error recording price snapshot', err);
+        });
+        
+        // Add to update queue instead of broadcasting immediately
+        updateQueue.push(transformedToken);
+        queueTokenDelta(change, updatedToken);
+        
+        // Keep the top tokens cache current
+        applyTopTokenUpdate(db, updatedToken);
+        
+        // Fire any price alerts the new values trigger
+        evaluateAlerts(db, updatedToken);
+        
+        // Stream launches and notify webhook subscribers about new tokens
+        if (change.operationType === 'insert') {
+          publishNewToken(transformedToken);
+          enqueueWebhookEvent(db, 'token.created', { token: transformedToken }).catch(err => {
+            logger.error('Error queueing token.created webhooks', err);
+          });
+        }
+        
+        // Process queue if not already scheduled
+        if (!batchTimeout) {
+          batchTimeout = setTimeout(() => {
+            processUpdateQueue();
+          }, config.batchWindowMs);
+        }
+      } else if (change.operationType === 'delete') {
+        applyTopTokenRemoval(db, change.documentKey._id);
+        publishTokenRemoval(change.documentKey._id);
+      }
+    });
+    
+    // Configured chains, for clients picking one
+    app.get('/api/chains', rateLimitRoute, (req, res) => {
+      res.json({ chains: CHAINS, defaultChainId: DEFAULT_CHAIN_ID });
+    });
+    
+    // NEW: Set up HTTP API endpoint for global stats
+    app.get('/api/global-stats', rateLimitRoute, async (req, res) => {
+      try {
+        const chainId = parseChainId(req.query.chainId);
+        if (chainId === null) {
+          return res.status(400).json({ error: 'Unsupported chainId' });
+        }
+        
+        res.json(await getGlobalStats(db, chainId));
+      } catch (err) {
+        req.log.error('Error calculating global stats for HTTP endpoint', err);
+        res.status(500).json({ error: 'Failed to calculate global statistics' });
+      }
+    });
+    
+    // Global stats snapshots for charting total market cap and volume
+    app.get('/api/global-stats/history', rateLimitRoute, async (req, res) => {
+      try {
+        const { error, query } = parseStatsHistoryQuery(req.query);
+        if (error) {
+          return res.status(400).json({ error });
+        }
+        
+        res.json({ chainId: query.chainId, snapshots: await getGlobalStatsHistory(db, query) });
+      } catch (err) {
+        req.log.error('Error fetching global stats history', err);
+        res.status(500).json({ error: 'Failed to fetch global stats history' });
+      }
+    });
+    
+    // Set up HTTP API endpoint for leaderboards
+    app.get('/api/leaderboards/:type', rateLimitRoute, async (req, res) => {
+      try {
+        const { type } = req.params;
+        if (!LEADERBOARD_TYPES.includes(type)) {
+          return res.status(404).json({ error: `Unknown leaderboard, expected one of ${LEADERBOARD_TYPES.join(', ')}` });
+        }
+        
+        const chainId = parseChainId(req.query.chainId);
+        if (chainId === null) {
+          return res.status(400).json({ error: 'Unsupported chainId' });
+        }
+        
+        res.json(await getLeaderboard(db, chainId, type, req.query.limit));
+      } catch (err) {
+        req.log.error('Error fetching leaderboard for HTTP endpoint', err);
+        res.status(500).json({ error: 'Failed to fetch leaderboard' });
+      }
+    });
+    
+    // Set up HTTP API endpoint for OHLCV candles
+    app.get('/api/tokens/:contractAddress/candles', rateLimitRoute, async (req, res) => {
+      try {
+        const { error, query } = parseCandleQuery({
+          ...req.query,
+          contractAddress: req.params.contractAddress
+        });
+        if (error) {
+          return res.status(400).json({ error });
+        }
+        
+        const candles = await getCandles(db, query);
+        
+        res.json({
+          chainId: query.chainId,
+          contractAddress: query.contractAddress,
+          resolution: query.resolution,
+          candles
+        });
+      } catch (err) {
+        req.log.error('Error fetching candles for HTTP endpoint', err);
+        res.status(500).json({ error: 'Failed to fetch candles' });
+      }
+    });
+    
+    // Metadata edit history of a token, newest first; ?before= takes the
+    // nextBefore of the previous page
+    app.get('/api/tokens/:contractAddress/history', rateLimitRoute, async (req, res) => {
+      try {
+        const contractAddress = normalizeAddress(req.params.contractAddress);
+        if (!contractAddress) {
+          return res.status(400).json({ error: 'Invalid contract address' });
+        }
+        
+        const chainId = parseTokenChainId(req.query.chainId);
+        if (chainId === null) {
+          return res.status(400).json({ error: 'Unsupported chainId' });
+        }
+        
+        const before = req.query.before === undefined ? null : Number(req.query.before);
+        if (before !== null && (!Number.isInteger(before) || before < 1)) {
+          return res.status(400).json({ error: 'before must be a positive integer' });
+        }
+        
+        const limit = Math.min(Math.max(parseInt(req.query.limit, 10) || DEFAULT_HISTORY_LIMIT, 1), MAX_HISTORY_LIMIT);
+        const history = await db.collection('token_metadata_history')
+          .find(
+            { chainId, contractAddress, ...(before !== null ? { version: { $lt: before } } : {}) },
+            { projection: { _id: 0 } }
+          )
+          .sort({ version: -1 })
+          .limit(limit + 1)
+          .toArray();
+        
+        const page = history.slice(0, limit);
+        res.json({
+          chainId,
+          contractAddress,
+          history: page,
+          nextBefore: history.length > limit ? page[page.length - 1].version : null
+        });
+      } catch (err) {
+        req.log.error('Error fetching token history', err);
+        res.status(500).json({ error: 'Failed to fetch token history' });
+      }
+    });
+    
+    // Set up HTTP API endpoint for new launches; registered before the
+    // :contractAddress route so "new" isn't taken for an address
+    app.get('/api/tokens/new', rateLimitRoute, async (req, res) => {
+      try {
+        const { error, query } = parseNewTokensQuery(req.query);
+        if (error) {
+          return res.status(400).json({ error });
+        }
+        
+        res.json(await fetchNewTokens(tokensCollection, query));
+      } catch (err) {
+        req.log.error('Error fetching new tokens for HTTP endpoint', err);
+        res.status(500).json({ error: 'Failed to fetch new tokens' });
+      }
+    });
+    
+    // Set up HTTP API endpoint for token details as CORS fallback
+    app.get('/api/tokens/:contractAddress', rateLimitRoute, async (req, res) => {
+      try {
+        const contractAddress = normalizeAddress(req.params.contractAddress);
+        if (!contractAddress) {
+          return res.status(400).json({ error: 'Invalid contract address' });
+        }
+        
+        const chainId = parseTokenChainId(req.query.chainId);
+        if (chainId === null) {
+          return res.status(400).json({ error: 'Unsupported chainId' });
+        }
+        
+        const tokenDetails = await findToken(tokensCollection, chainId, contractAddress);
+        
+        if (tokenDetails) {
+          res.json(formatToken(tokenDetails, { checksum: req.query.checksum === 'true' }));
         } else {
           res.status(404).json({ error: 'Token not found' });
         }
       } catch (err) {
-        console.error('Error in HTTP API:', err);
+        req.log.error('Error in HTTP API', err);
         res.status(500).json({ error: 'Server error' });
       }
     });
     
+    // Batch lookup of up to MAX_BATCH_LOOKUP tokens
+    app.post('/api/tokens/batch', rateLimitRoute, async (req, res) => {
+      try {
+        const { contractAddresses, checksum } = req.body;
+        if (!Array.isArray(contractAddresses) || contractAddresses.length > MAX_BATCH_LOOKUP) {
+          return res.status(400).json({ error: `contractAddresses must be an array of at most ${MAX_BATCH_LOOKUP} addresses` });
+        }
+        
+        const chainId = parseTokenChainId(req.body.chainId);
+        if (chainId === null) {
+          return res.status(400).json({ error: 'Unsupported chainId' });
+        }
+        
+        res.json(await lookupTokens(tokensCollection, contractAddresses, { chainId, checksum: checksum === true }));
+      } catch (err) {
+        req.log.error('Error in batch token lookup for HTTP endpoint', err);
+        res.status(500).json({ error: 'Failed to fetch tokens' });
+      }
+    });
+    
     // Add this endpoint for getting token info with image
-    app.get('/api/token/:contractAddress', async (req, res) => {
+    app.get('/api/token/:contractAddress', rateLimitRoute, async (req, res) => {
       try {
-        const { contractAddress } = req.params;
+        const contractAddress = normalizeAddress(req.params.contractAddress);
+        if (!contractAddress) {
+          return res.status(400).json({ error: 'Invalid contract address' });
+        }
+        
+        const chainId = parseTokenChainId(req.query.chainId);
+        if (chainId === null) {
+          return res.status(400).json({ error: 'Unsupported chainId' });
+        }
         
         // Query MongoDB for the token
-        const token = await db.collection('tokens').findOne(
-          { contractAddress: contractAddress.toLowerCase() }
-        );
+        const token = await findToken(db.collection('tokens'), chainId, contractAddress);
         
         if (!token) {
           return res.status(404).json({ error: 'Token not found' });
         }
         
-        res.json(token);
+        res.json(formatToken(token));
       } catch (error) {
-        console.error('Error fetching token:', error);
+        req.log.error('Error fetching token', error);
         res.status(500).json({ error: 'Internal server error' });
       }
     });
 
-    // Update token info endpoint
-    app.post('/api/update-token-info-url', async (req, res) => {
+    // Watchlist HTTP endpoints. Reads are public; writes must be signed by the
+    // wallet with action "watchlist-add" or "watchlist-remove".
+    app.get('/api/watchlists/:wallet', rateLimitRoute, async (req, res) => {
       try {
-        const { contractAddress, name, symbol, image, txHash, description, website, twitter, telegram } = req.body;
-        
-        // Validate required fields
-        if (!contractAddress) {
-          return res.status(400).json({ error: 'Contract address is required' });
+        const wallet = normalizeAddress(req.params.wallet);
+        if (!wallet) {
+          return res.status(400).json({ error: 'Invalid wallet address' });
         }
-
-        // Update document with image info
-        const result = await db.collection('tokens').updateOne(
-          { contractAddress: contractAddress.toLowerCase() },
-          {
-            $set: {
-              name,
-              symbol,
-              image: {
-                url: image.url,
-                cloudinary_id: image.cloudinary_id,
-                asset_id: image.asset_id,
-                version: image.version,
-                format: image.format,
-                resource_type: image.resource_type
-              },
-              description,
-              website,
-              twitter,
-              telegram,
-              updatedAt: new Date(),
-              txHash
-            }
-          },
-          { upsert: true }
-        );
-
-        console.log('Token update result:', result);
         
-        res.json({ 
-          success: true, 
-          message: 'Token info updated successfully',
-          modifiedCount: result.modifiedCount,
-          upsertedCount: result.upsertedCount
+        // Watchlists are private like on the socket: reads are signed too. The
+        // signature comes in headers so it stays out of access and proxy logs.
+        const signer = await verifyWalletSignature(db, {
+          action: 'watchlist-get',
+          nonce: req.get('X-Signature-Nonce'),
+          expiresAt: req.get('X-Signature-Expires-At'),
+          signature: req.get('X-Signature')
         });
-      } catch (error) {
-        console.error('Error updating token info:', error);
-        res.status(500).json({ error: 'Failed to update token info' });
+        if (signer !== wallet) {
+          return res.status(403).json({ error: 'Signer does not own this watchlist' });
+        }
+        
+        res.json(await buildWatchlistPayload(db, wallet));
+      } catch (err) {
+        if (err.status) {
+          return res.status(err.status).json({ error: err.message });
+        }
+        req.log.error('Error fetching watchlist for HTTP endpoint', err);
+        res.status(500).json({ error: 'Failed to fetch watchlist' });
       }
     });
     
-    // Websocket event handler for token updates
-    io.on('connection', (socket) => {
-      console.log('Client connected');
-
-      socket.on('get-token', async (contractAddress) => {
+    [['post', 'add'], ['delete', 'remove']].forEach(([method, operation]) => {
+      app[method]('/api/watchlists/:wallet/tokens', rateLimitRoute, async (req, res) => {
         try {
-          const token = await db.collection('tokens').findOne(
-            { contractAddress: contractAddress.toLowerCase() }
-          );
+          const wallet = normalizeAddress(req.params.wallet);
+          if (!wallet) {
+            return res.status(400).json({ error: 'Invalid wallet address' });
+          }
           
-          if (token) {
-            socket.emit('token-info', token);
-          } else {
-            socket.emit('token-info-error', 'Token not found');
+          const { contractAddresses, nonce, expiresAt, signature } = req.body;
+          const chainId = parseTokenChainId(req.body.chainId);
+          if (chainId === null) {
+            return res.status(400).json({ error: 'Unsupported chainId' });
           }
-        } catch (error) {
-          console.error('Error fetching token:', error);
-          socket.emit('token-info-error', 'Failed to fetch token info');
+          
+          const keys = normalizeTokenList(contractAddresses, chainId);
+          const signer = await verifyWalletSignature(db, {
+            action: `watchlist-${operation}`,
+            chainId,
+            dataHash: hashWatchlistTokens(keys),
+            nonce,
+            expiresAt,
+            signature
+          });
+          if (signer !== wallet) {
+            return res.status(403).json({ error: 'Signer does not own this watchlist' });
+          }
+          
+          const watchlist = await updateWatchlist(db, wallet, { [operation]: keys });
+          
+          res.json({ wallet, watchlist: formatTokenKeys(watchlist) });
+        } catch (err) {
+          if (err.status) {
+            return res.status(err.status).json({ error: err.message });
+          }
+          req.log.error('Error updating watchlist for HTTP endpoint', { operation, err });
+          res.status(500).json({ error: 'Failed to update watchlist' });
         }
       });
-
-      // ... rest of your existing socket handlers ...
     });
     
-    // Start the server
-    const PORT = process.env.PORT || 4003;
-    server.listen(PORT, () => {
-      console.log(`Server running on port ${PORT}`);
+    // Token moderation (admin only). Takes any of { hidden, flagged, flagReason,
+    // verified } plus chainId; omitted fields are left as they are.
+    app.post('/api/tokens/:contractAddress/moderation', rateLimitRoute, requireAdmin, async (req, res) => {
+      try {
+        const contractAddress = normalizeAddress(req.params.contractAddress);
+        if (!contractAddress) {
+          return res.status(400).json({ error: 'Invalid contract address' });
+        }
+        
+        const chainId = parseTokenChainId(req.body.chainId);
+        if (chainId === null) {
+          return res.status(400).json({ error: 'Unsupported chainId' });
+        }
+        
+        const { error, update } = parseModerationUpdate(req.body);
+        if (error) {
+          return res.status(400).json({ error });
+        }
+        
+        const token = await db.collection('tokens').findOneAndUpdate(
+          { $and: [chainFilter(chainId), { contractAddress: addressCondition(contractAddress) }] },
+          { $set: { ...update, moderatedAt: new Date() } },
+          { returnDocument: 'after' }
+        );
+        if (!token) {
+          return res.status(404).json({ error: 'Token not found' });
+        }
+        
+        const status = { chainId, contractAddress, ...moderationStatus(token) };
+        req.log.info('Token moderated', status);
+        
+        // Lists and badges update right away; subscribers also get the change
+        // through token-updates and token-deltas
+        io.to([chainRoom(chainId), chainRoom(ALL_CHAINS)]).emit('token-moderated', status);
+        if ('hidden' in update) {
+          refreshGlobalStats(db).catch(err => req.log.error('Error refreshing global stats after moderation', err));
+          refreshLeaderboards(db).catch(err => req.log.error('Error refreshing leaderboards after moderation', err));
+        }
+        
+        res.json(status);
+      } catch (err) {
+        req.log.error('Error moderating token', err);
+        res.status(500).json({ error: 'Failed to moderate token' });
+      }
     });
     
-  } catch (err) {
-    console.error('Failed to connect to MongoDB:', err);
-  }
-}
-
-async function sendInitialData(socket, db) {
-  try {
-    const tokensCollection = db.collection('tokens');
+    // Restore the metadata of an earlier version (admin only). Version 0 is the
+    // metadata from before the first recorded edit. The revert is itself
+    // recorded as a new version.
+    app.post('/api/tokens/:contractAddress/history/:version/revert', rateLimitRoute, requireAdmin, async (req, res) => {
+      try {
+        const contractAddress = normalizeAddress(req.params.contractAddress);
+        if (!contractAddress) {
+          return res.status(400).json({ error: 'Invalid contract address' });
+        }
+        
+        const chainId = parseTokenChainId(req.body.chainId);
+        if (chainId === null) {
+          return res.status(400).json({ error: 'Unsupported chainId' });
+        }
+        
+        const version = Number(req.params.version);
+        if (!Number.isInteger(version) || version < 0) {
+          return res.status(400).json({ error: 'version must be a non-negative integer' });
+        }
+        
+        // The metadata of version n is what edit n wrote; version 0 is what edit 1 replaced
+        const target = await db.collection('token_metadata_history').findOne({
+          chainId,
+          contractAddress,
+          version: Math.max(version, 1)
+        });
+        if (!target) {
+          return res.status(404).json({ error: 'Version not found' });
+        }
+        
+        // Tokens created through update-token-info have no name or symbol
+        // before their first edit, and those can't be cleared
+        const changes = version === 0 ? target.previous : target.values;
+        const missing = ['name', 'symbol'].filter(field => changes[field] === null || changes[field] === undefined);
+        if (missing.length > 0) {
+          return res.status(409).json({ error: `Version ${version} has no ${missing.join(' or ')} to restore` });
+        }
+        
+        const result = await updateTokenMetadata(db, {
+          chainId,
+          contractAddress,
+          changes,
+          updatedBy: 'admin',
+          txHash: version === 0 ? null : target.txHash,
+          revertedTo: version
+        });
+        if (!result) {
+          return res.status(404).json({ error: 'Token not found' });
+        }
+        
+        res.json({ success: true, version: result.entry.version, revertedTo: version });
+      } catch (err) {
+        req.log.error('Error reverting token metadata', err);
+        res.status(500).json({ error: 'Failed to revert token metadata' });
+      }
+    });
     
-    // Send initial top tokens data, excluding WETH
-    const topMarketCapToken = await tokensCollection.find({
-      $and: [
-        { symbol: { $ne: 'WETH' } },
-        { contractAddress: { $ne: '0x4200000000000000000000000000000000000006' } }
-      ]
-    }).sort({ market_cap_usd: -1 }).limit(1).toArray();
+    // Hidden, flagged or verified tokens, most recently moderated first
+    app.get('/api/moderation/tokens', rateLimitRoute, requireAdmin, async (req, res) => {
+      try {
+        const { status } = req.query;
+        if (!['hidden', 'flagged', 'verified'].includes(status)) {
+          return res.status(400).json({ error: 'status must be hidden, flagged or verified' });
+        }
+        
+        const chainId = parseChainId(req.query.chainId);
+        if (chainId === null) {
+          return res.status(400).json({ error: 'Unsupported chainId' });
+        }
+        
+        const limit = Math.min(parseInt(req.query.limit, 10) || 50, 500);
+        const tokens = await db.collection('tokens')
+          .find({ $and: [chainFilter(chainId), { [status]: true }] })
+          .sort({ moderatedAt: -1 })
+          .limit(limit)
+          .toArray();
+        
+        res.json({ chainId, tokens: tokens.map(token => formatToken(token)) });
+      } catch (err) {
+        req.log.error('Error listing moderated tokens', err);
+        res.status(500).json({ error: 'Failed to list moderated tokens' });
+      }
+    });
     
-    const topVolumeToken = await tokensCollection.find({
-      $and: [
-        { symbol: { $ne: 'WETH' } },
-        { contractAddress: { $ne: '0x4200000000000000000000000000000000000006' } }
-      ]
-    }).sort({ volume_usd_24h: -1 }).limit(1).toArray();
-    
-    if (topMarketCapToken.length > 0 && topVolumeToken.length > 0) {
-      // Ensure all required fields exist with defaults if needed
-      const transformedMarketCapToken = { ...topMarketCapToken[0] };
-      transformedMarketCapToken.price_usd = transformedMarketCapToken.price_usd || 0;
-      transformedMarketCapToken.market_cap_usd = transformedMarketCapToken.market_cap_usd || 0;
-      transformedMarketCapToken.volume_usd_24h = transformedMarketCapToken.volume_usd_24h || 0;
-      transformedMarketCapToken.blockNumber = transformedMarketCapToken.blockNumber || 0;
-      
-      const transformedVolumeToken = { ...topVolumeToken[0] };
-      transformedVolumeToken.price_usd = transformedVolumeToken.price_usd || 0;
-      transformedVolumeToken.market_cap_usd = transformedVolumeToken.market_cap_usd || 0;
-      transformedVolumeToken.volume_usd_24h = transformedVolumeToken.volume_usd_24h || 0;
-      transformedVolumeToken.blockNumber = transformedVolumeToken.blockNumber || 0;
-      
-      socket.emit('top-tokens-update', {
-        topMarketCapToken: transformedMarketCapToken,
-        topVolumeToken: transformedVolumeToken
+    // Webhook subscription registry (admin only)
+    app.post('/api/webhooks', rateLimitRoute, requireAdmin, async (req, res) => {
+      try {
+        const { url, events, description } = req.body;
+        
+        if (!isAllowedWebhookUrl(url)) {
+          return res.status(400).json({ error: 'url must be a public https URL' });
+        }
+        if (!Array.isArray(events) || events.length === 0 || !events.every(event => WEBHOOK_EVENTS.includes(event))) {
+          return res.status(400).json({ error: `events must be a non-empty list of ${WEBHOOK_EVENTS.join(', ')}` });
+        }
+        
+        const subscription = {
+          url,
+          events: [...new Set(events)],
+          description: typeof description === 'string' ? description.slice(0, 200) : null,
+          // Shared secret for the HMAC signature; only returned on creation
+          secret: `whsec_${crypto.randomBytes(32).toString('hex')}`,
+          active: true,
+          createdAt: new Date()
+        };
+        const result = await db.collection('webhook_subscriptions').insertOne(subscription);
+        
+        res.status(201).json({ ...formatWebhookSubscription({ ...subscription, _id: result.insertedId }), secret: subscription.secret });
+      } catch (err) {
+        req.log.error('Error creating webhook subscription', err);
+        res.status(500).json({ error: 'Failed to create webhook subscription' });
+      }
+    });
+    
+    app.get('/api/webhooks', rateLimitRoute, requireAdmin, async (req, res) => {
+      try {
+        const subscriptions = await db.collection('webhook_subscriptions').find({}).sort({ createdAt: -1 }).toArray();
+        res.json({ subscriptions: subscriptions.map(formatWebhookSubscription) });
+      } catch (err) {
+        req.log.error('Error listing webhook subscriptions', err);
+        res.status(500).json({ error: 'Failed to list webhook subscriptions' });
+      }
+    });
+    
+    app.delete('/api/webhooks/:id', rateLimitRoute, requireAdmin, async (req, res) => {
+      try {
+        if (!ObjectId.isValid(req.params.id)) {
+          return res.status(404).json({ error: 'Webhook subscription not found' });
+        }
+        
+        const result = await db.collection('webhook_subscriptions').deleteOne({ _id: new ObjectId(req.params.id) });
+        if (result.deletedCount === 0) {
+          return res.status(404).json({ error: 'Webhook subscription not found' });
+        }
+        
+        res.json({ success: true });
+      } catch (err) {
+        req.log.error('Error deleting webhook subscription', err);
+        res.status(500).json({ error: 'Failed to delete webhook subscription' });
+      }
+    });
+    
+    // Delivery attempts of one subscription, newest first; ?status= filters
+    app.get('/api/webhooks/:id/deliveries', rateLimitRoute, requireAdmin, async (req, res) => {
+      try {
+        if (!ObjectId.isValid(req.params.id)) {
+          return res.status(404).json({ error: 'Webhook subscription not found' });
+        }
+        
+        const query = { subscriptionId: new ObjectId(req.params.id) };
+        if (req.query.status !== undefined) {
+          if (!WEBHOOK_DELIVERY_STATUSES.includes(req.query.status)) {
+            return res.status(400).json({ error: `status must be one of ${WEBHOOK_DELIVERY_STATUSES.join(', ')}` });
+          }
+          query.status = req.query.status;
+        }
+        const limit = Math.min(parseInt(req.query.limit, 10) || 50, 500);
+        
+        const deliveries = await db.collection('webhook_deliveries').find(query)
+          .sort({ createdAt: -1 })
+          .limit(limit)
+          .toArray();
+        
+        res.json({ deliveries });
+      } catch (err) {
+        req.log.error('Error listing webhook deliveries', err);
+        res.status(500).json({ error: 'Failed to list webhook deliveries' });
+      }
+    });
+    
+    // Deliveries that ran out of attempts, across all subscriptions
+    app.get('/api/webhooks/dead-letters', rateLimitRoute, requireAdmin, async (req, res) => {
+      try {
+        const limit = Math.min(parseInt(req.query.limit, 10) || 50, 500);
+        
+        const deliveries = await db.collection('webhook_deliveries').find({ status: 'dead' })
+          .sort({ createdAt: -1 })
+          .limit(limit)
+          .toArray();
+        
+        res.json({ deliveries });
+      } catch (err) {
+        req.log.error('Error listing webhook dead letters', err);
+        res.status(500).json({ error: 'Failed to list webhook dead letters' });
+      }
+    });
+    
+    // Queue a dead letter for delivery again
+    app.post('/api/webhooks/deliveries/:deliveryId/retry', rateLimitRoute, requireAdmin, async (req, res) => {
+      try {
+        if (!ObjectId.isValid(req.params.deliveryId)) {
+          return res.status(404).json({ error: 'Delivery not found' });
+        }
+        
+        const result = await db.collection('webhook_deliveries').updateOne(
+          { _id: new ObjectId(req.params.deliveryId), status: 'dead' },
+          { $set: { status: 'pending', attemptCount: 0, nextAttemptAt: new Date() } }
+        );
+        if (result.matchedCount === 0) {
+          return res.status(404).json({ error: 'Dead letter not found' });
+        }
+        
+        res.json({ success: true });
+      } catch (err) {
+        req.log.error('Error retrying webhook delivery', err);
+        res.status(500).json({ error: 'Failed to retry webhook delivery' });
+      }
+    });
+    
+    // Update token info endpoint
+    app.post('/api/update-token-info-url', rateLimitRoute, async (req, res) => {
+      try {
+        const { txHash, signature, nonce, expiresAt } = req.body;
+        
+        // Validate required fields
+        if (!req.body.contractAddress) {
+          return res.status(400).json({ error: 'Contract address is required' });
+        }
+        
+        const contractAddress = normalizeAddress(req.body.contractAddress);
+        if (!contractAddress) {
+          return res.status(400).json({ error: 'Invalid contract address' });
+        }
+        
+        const chainId = parseTokenChainId(req.body.chainId);
+        if (chainId === null) {
+          return res.status(400).json({ error: 'Unsupported chainId' });
+        }
+        
+        // Validate the metadata before the signature check, so a rejected
+        // body doesn't use up the nonce
+        const { changes, errors } = parseTokenMetadata(req.body);
+        if (errors) {
+          return res.status(400).json({ error: 'Invalid token metadata', fields: errors });
+        }
+        if (txHash !== undefined && txHash !== null &&
+            (typeof txHash !== 'string' || !/^0x[0-9a-fA-F]{64}$/.test(txHash))) {
+          return res.status(400).json({ error: 'Invalid token metadata', fields: { txHash: 'must be a 0x-prefixed 32-byte hex string' } });
+        }
+
+        // Verify the signed authorization before touching the token
+        let signer;
+        try {
+          signer = await verifyWalletSignature(db, {
+            action: 'update-token-info',
+            chainId,
+            contractAddress,
+            dataHash: hashSignedMetadata(req.body),
+            nonce,
+            expiresAt,
+            signature
+          });
+        } catch (authErr) {
+          if (authErr.status) {
+            return res.status(authErr.status).json({ error: authErr.message });
+          }
+          throw authErr;
+        }
+
+        // Only the token deployer or an allow-listed admin may edit token info.
+        // Tokens that don't exist yet have no deployer, so only admins can create them.
+        const existingToken = await findToken(
+          db.collection('tokens'),
+          chainId,
+          contractAddress,
+          { projection: { deployer: 1 } }
+        );
+        const isDeployer = Boolean(
+          existingToken &&
+          typeof existingToken.deployer === 'string' &&
+          existingToken.deployer.toLowerCase() === signer
+        );
+        
+        if (!isDeployer && !ADMIN_ADDRESSES.has(signer)) {
+          req.log.warn('Rejected token info update', { chainId, contractAddress, signer });
+          return res.status(403).json({ error: 'Signer is not authorized to update this token' });
+        }
+        
+        // A token created by this request needs a name and symbol
+        if (!existingToken) {
+          const missing = {};
+          if (!changes.name) missing.name = 'is required for a new token';
+          if (!changes.symbol) missing.symbol = 'is required for a new token';
+          if (Object.keys(missing).length > 0) {
+            return res.status(400).json({ error: 'Invalid token metadata', fields: missing });
+          }
+        }
+
+        // Only the submitted fields change; the edit is recorded in the history
+        const result = await updateTokenMetadata(db, {
+          chainId,
+          contractAddress,
+          changes,
+          updatedBy: signer,
+          txHash,
+          upsert: true
+        });
+
+        req.log.info('Token info updated', {
+          chainId,
+          contractAddress,
+          version: result.entry.version,
+          created: result.created
+        });
+        
+        res.json({ 
+          success: true, 
+          message: 'Token info updated successfully',
+          modifiedCount: result.created ? 0 : 1,
+          upsertedCount: result.created ? 1 : 0,
+          version: result.entry.version
+        });
+      } catch (error) {
+        req.log.error('Error updating token info', error);
+        res.status(500).json({ error: 'Failed to update token info' });
+      }
+    });
+    
+    // Websocket event handler for token updates
+    io.on('connection', (socket) => {
+
+      // Looks the token up on the socket's chain
+      onSocketEvent(socket, 'get-token', async (requestedAddress, reply) => {
+        const chainId = socketTokenChain(socket);
+        const token = await findToken(db.collection('tokens'), chainId, normalizeAddress(requestedAddress));
+        
+        if (!token) {
+          throw socketError('not_found', 'Token not found');
+        }
+        reply('token-info', formatToken(token));
       });
-    } else {
-      console.log('No top tokens found in initial data load');
+
+      // ... rest of your existing socket handlers ...
+    });
+    
+    serverStarted = true;
+    // The first check waits a round so the change stream has time to open
+    setTimeout(scheduleHealthCheck, HEALTH_CHECK_INTERVAL_MS);
+    logger.info('Server ready');
+  } catch (err) {
+    if (shuttingDown) return; // the client was closed under the setup
+    
+    // Without its indexes and handlers the server can't work; exit so the
+    // process manager restarts it
+    logger.error('Failed to start server', err);
+    process.exit(1);
+  }
+}
+
+// Connect to MongoDB, retrying with exponential backoff until it works
+async function connectMongo() {
+  let delay = CHANGE_STREAM_MIN_RETRY_MS;
+  
+  while (!shuttingDown) {
+    try {
+      await client.connect();
+      logger.info('Connected to MongoDB');
+      return;
+    } catch (err) {
+      logger.error('Failed to connect to MongoDB, retrying', { retryInMs: delay, error: err.message });
+      await new Promise(resolve => setTimeout(resolve, delay));
+      delay = Math.min(delay * 2, CHANGE_STREAM_MAX_RETRY_MS);
     }
+  }
+}
+
+// Initial data for the chain the socket picked
+async function sendInitialData(socket, db) {
+  try {
+    const tokensCollection = db.collection('tokens');
+    const { chainId } = socket.data;
     
-    // Send initial tokens list (paginated), excluding WETH
-    const tokens = await tokensCollection.find({
-      $and: [
-        { symbol: { $ne: 'WETH' } },
-        { contractAddress: { $ne: '0x4200000000000000000000000000000000000006' } }
-      ]
-    })
-      .sort({ market_cap_usd: -1 })
-      .limit(10) // Default page size
-      .toArray();
-      
-    if (tokens.length > 0) {
-      console.log('Initial data - First token (sample):', {
-        name: tokens[0].name,
-        price_usd: tokens[0].price_usd,
-        market_cap_usd: tokens[0].market_cap_usd,
-        volume_usd_24h: tokens[0].volume_usd_24h
-      });
+    // Send initial top tokens data from the cache
+    const topTokensPayload = buildTopTokensPayload(chainId);
+    if (topTokensPayload) {
+      socket.emit('top-tokens-update', topTokensPayload);
     } else {
-      console.log('No tokens found in initial data load');
+      logger.debug('No top tokens found in initial data load', { chainId });
     }
     
-    // Ensure all tokens have required fields with defaults if needed
-    const transformedTokens = tokens.map(token => {
-      const transformed = { ...token };
-      
-      // Ensure all required fields exist with defaults if needed
-      transformed.price_usd = transformed.price_usd || 0;
-      transformed.market_cap_usd = transformed.market_cap_usd || 0;
-      transformed.volume_usd_24h = transformed.volume_usd_24h || 0;
-      transformed.blockNumber = transformed.blockNumber || 0;
-      
-      return transformed;
-    });
-      
-    const totalCount = await tokensCollection.countDocuments();
-    const totalPages = Math.ceil(totalCount / 10);
+    // Send initial tokens list, built the same way as get-tokens
+    const { listQuery } = buildTokenListQuery({ sort: 'marketCap', direction: 'desc' }, chainId);
+    const page = await fetchTokenPage(tokensCollection, listQuery);
     
-    socket.emit('tokens-list-update', {
-      tokens: transformedTokens,
-      totalPages
-    });
+    if (page.tokens.length === 0) {
+      logger.debug('No tokens found in initial data load', { chainId });
+    }
     
-    // NEW: Also send initial global stats, excluding WETH
+    socket.emit('tokens-list-update', page);
+    
+    // NEW: Also send initial global stats from the cache
     try {
-      const aggregateResult = await tokensCollection.aggregate([
-        {
-          $match: {
-            $and: [
-              { symbol: { $ne: 'WETH' } },
-              { contractAddress: { $ne: '0x4200000000000000000000000000000000000006' } }
+      socket.emit('global-stats-update', await getGlobalStats(db, chainId));
+    } catch (err) {
+      logger.error('Error sending initial global stats', err);
+    }
+    
+  } catch (err) {
+    logger.error('Error sending initial data', err);
+  }
+}
+
+// Aggregate global statistics across all listed tokens, per chain and for
+// all chains together. Returns a Map keyed by chainId and "all".
+async function computeGlobalStats(db) {
+  const aggregateResult = await db.collection('tokens').aggregate([
+    { $match: { $and: listedTokensFilter(ALL_CHAINS) } },
+    {
+      $group: {
+        _id: { $ifNull: ['$chainId', DEFAULT_CHAIN_ID] },
+        totalVolume: { $sum: { $ifNull: ["$volume_usd_24h", 0] } },
+        totalMarketCap: { $sum: { $ifNull: ["$market_cap_usd", 0] } },
+        totalTokens: { $sum: 1 },
+        total24hVolume: {
+          $sum: {
+            $add: [
+              { $ifNull: ["$volume_usd_h1", 0] },
+              { $ifNull: ["$volume_usd_h6", 0] }
             ]
           }
-        },
-        {
-          $group: {
-            _id: null,
-            totalVolume: { $sum: { $ifNull: ["$volume_usd_24h", 0] } },
-            totalMarketCap: { $sum: { $ifNull: ["$market_cap_usd", 0] } },
-            totalTokens: { $sum: 1 }
-          }
         }
-      ]).toArray();
-      
-      const globalStats = aggregateResult.length > 0 ? {
-        totalVolume: aggregateResult[0].totalVolume || 0,
-        totalMarketCap: aggregateResult[0].totalMarketCap || 0,
-        totalTokens: aggregateResult[0].totalTokens || 0
-      } : {
-        totalVolume: 0,
-        totalMarketCap: 0,
-        totalTokens: await tokensCollection.countDocuments()
-      };
-      
-      console.log(`[Server] Initial global stats: ${JSON.stringify(globalStats)}`);
-      socket.emit('global-stats-update', globalStats);
-      
-    } catch (err) {
-      console.error('Error sending initial global stats:', err);
+      }
     }
+  ]).toArray();
+  
+  const updatedAt = new Date();
+  const fields = ['totalVolume', 'totalMarketCap', 'totalTokens', 'total24hVolume'];
+  const sum = (chainId, results) => {
+    const stats = { chainId };
+    fields.forEach(field => {
+      stats[field] = results.reduce((total, result) => total + (result[field] || 0), 0);
+    });
+    stats.updatedAt = updatedAt;
+    return stats;
+  };
+  
+  const statsByChain = new Map(CHAINS.map(({ chainId }) => [
+    chainId,
+    sum(chainId, aggregateResult.filter(result => result._id === chainId))
+  ]));
+  statsByChain.set(ALL_CHAINS, sum(ALL_CHAINS, aggregateResult));
+  return statsByChain;
+}
+
+// Recompute the cached stats, store snapshots and broadcast the ones that
+// changed to the sockets following that chain
+async function refreshGlobalStats(db) {
+  const statsByChain = await computeGlobalStats(db);
+  
+  statsByChain.forEach((stats, chainId) => {
+    const previous = latestGlobalStats.get(chainId);
+    latestGlobalStats.set(chainId, stats);
     
-  } catch (err) {
-    console.error('Error sending initial data:', err);
+    const changed = !previous ||
+      ['totalVolume', 'totalMarketCap', 'totalTokens', 'total24hVolume']
+        .some(field => previous[field] !== stats[field]);
+    
+    if (changed) {
+      io.to(chainRoom(chainId)).emit('global-stats-update', stats);
+    }
+  });
+  
+  await db.collection('global_stats_history').insertMany([...statsByChain.values()].map(stats => {
+    const { updatedAt, ...totals } = stats;
+    return { timestamp: updatedAt, ...totals };
+  }));
+  
+  return latestGlobalStats;
+}
+
+function scheduleGlobalStats(db) {
+  refreshGlobalStats(db)
+    .catch(err => logger.error('Error refreshing global stats', err))
+    .finally(() => setTimeout(() => scheduleGlobalStats(db), GLOBAL_STATS_INTERVAL_MS));
+}
+
+async function getGlobalStats(db, chainId) {
+  if (!latestGlobalStats.has(chainId)) {
+    await refreshGlobalStats(db);
   }
+  return latestGlobalStats.get(chainId);
 }
 
-// Add this function to process the update queue
-function processUpdateQueue() {
-  if (updateQueue.length === 0) {
-    batchTimeout = null;
-    return;
+// Validate global stats history params; from/to are unix timestamps in milliseconds
+// and an optional resolution buckets snapshots like candles do
+function parseStatsHistoryQuery(params) {
+  const { resolution } = params;
+  if (resolution !== undefined && !CANDLE_RESOLUTIONS[resolution]) {
+    return { error: `Unsupported resolution, expected one of ${Object.keys(CANDLE_RESOLUTIONS).join(', ')}` };
   }
   
-  // Group updates by token address
-  const updatesByToken = {};
-  updateQueue.forEach(token => {
-    updatesByToken[token.contractAddress] = token;
-  });
+  const chainId = parseChainId(params.chainId);
+  if (chainId === null) {
+    return { error: 'Unsupported chainId' };
+  }
   
-  // Clear the queue
-  updateQueue = [];
-  batchTimeout = null;
+  const limit = Math.min(parseInt(params.limit, 10) || DEFAULT_STATS_HISTORY_LIMIT, MAX_STATS_HISTORY_LIMIT);
+  const to = params.to !== undefined ? Number(params.to) : Date.now();
+  const from = params.from !== undefined ? Number(params.from) : to - 24 * 60 * 60 * 1000;
   
-  // Send updates to relevant clients
-  userViewportTokens.forEach((tokenSet, socketId) => {
-    const relevantUpdates = Object.values(updatesByToken)
-      .filter(token => tokenSet.has(token.contractAddress));
-    
-    if (relevantUpdates.length > 0) {
-      const socket = io.sockets.sockets.get(socketId);
-      if (socket && socket.connected) {
-        socket.emit('token-updates', relevantUpdates);
+  if (!Number.isFinite(from) || !Number.isFinite(to) || from >= to) {
+    return { error: 'Invalid time range' };
+  }
+  
+  return { query: { chainId, from, to, resolution, limit: Math.max(limit, 1) } };
+}
+
+// Global stats snapshots of a chain (or "all") in a time range, oldest first.
+// With a resolution, each bucket holds the last snapshot taken in it.
+async function getGlobalStatsHistory(db, { chainId, from, to, resolution, limit }) {
+  // Snapshots taken before multi-chain support have no chainId and only
+  // covered the default chain
+  const chainMatch = chainId === DEFAULT_CHAIN_ID ? { $in: [chainId, null] } : chainId;
+  
+  const pipeline = [
+    { $match: { chainId: chainMatch, timestamp: { $gte: new Date(from), $lt: new Date(to) } } },
+    { $sort: { timestamp: 1 } }
+  ];
+  
+  if (resolution) {
+    const { unit, binSize } = CANDLE_RESOLUTIONS[resolution];
+    pipeline.push(
+      {
+        $group: {
+          _id: { $dateTrunc: { date: '$timestamp', unit, binSize } },
+          snapshot: { $last: '$$ROOT' }
+        }
+      },
+      { $replaceWith: { $mergeObjects: ['$snapshot', { timestamp: '$_id' }] } }
+    );
+  }
+  
+  // Keep the most recent snapshots when the range holds more than the limit
+  pipeline.push(
+    { $sort: { timestamp: -1 } },
+    { $limit: limit },
+    { $sort: { timestamp: 1 } },
+    { $project: { _id: 0 } }
+  );
+  
+  return db.collection('global_stats_history').aggregate(pipeline).toArray();
+}
+
+function leaderboardRoom(chainId, type) {
+  return `leaderboard:${chainId}:${type}`;
+}
+
+// Price change per token over a window, measured from the first to the last
+// price snapshot recorded in it. Returns the biggest gainers and losers.
+async function computePriceMovers(db, chainId, windowMs) {
+  const candidates = LEADERBOARD_SIZE * 2;
+  
+  const [movers] = await db.collection('price_history').aggregate([
+    { $match: { $and: [chainFilter(chainId), { timestamp: { $gte: new Date(Date.now() - windowMs) } }] } },
+    { $sort: { timestamp: 1 } },
+    {
+      $group: {
+        _id: { chainId: { $ifNull: ['$chainId', DEFAULT_CHAIN_ID] }, contractAddress: '$contractAddress' },
+        firstPrice: { $first: '$price_usd' },
+        lastPrice: { $last: '$price_usd' }
+      }
+    },
+    { $match: { firstPrice: { $gt: 0 } } },
+    {
+      $project: {
+        change: {
+          $multiply: [{ $divide: [{ $subtract: ['$lastPrice', '$firstPrice'] }, '$firstPrice'] }, 100]
+        }
+      }
+    },
+    {
+      $facet: {
+        gainers: [{ $match: { change: { $gt: 0 } } }, { $sort: { change: -1 } }, { $limit: candidates }],
+        losers: [{ $match: { change: { $lt: 0 } } }, { $sort: { change: 1 } }, { $limit: candidates }]
       }
     }
-  });
+  ]).toArray();
+  
+  return movers;
+}
+
+// Load listed tokens for ranked { chainId, contractAddress, value } rows and
+// build leaderboard entries, dropping excluded tokens
+async function buildLeaderboardEntries(db, chainId, rows) {
+  if (rows.length === 0) return [];
+  
+  const tokens = await db.collection('tokens').find({
+    $and: [
+      ...listedTokensFilter(chainId),
+      tokenKeysFilter(rows.map(row => tokenKey(row.chainId, row.contractAddress)))
+    ]
+  }).toArray();
+  const tokensByKey = new Map(tokens.map(token => [
+    tokenKey(tokenChainId(token), token.contractAddress.toLowerCase()),
+    token
+  ]));
+  
+  return rows
+    .filter(row => tokensByKey.has(tokenKey(row.chainId, row.contractAddress)))
+    .slice(0, LEADERBOARD_SIZE)
+    .map((row, index) => ({
+      rank: index + 1,
+      value: row.value,
+      token: formatToken(tokensByKey.get(tokenKey(row.chainId, row.contractAddress)))
+    }));
+}
+
+// Compute every leaderboard of a chain, or of all chains together. Values are
+// the price change in percent, the last hour's volume relative to the 6h
+// hourly average, or the block number.
+async function computeLeaderboards(db, chainId) {
+  const tokensCollection = db.collection('tokens');
+  const toRows = (movers) => movers.map(mover => ({ ...mover._id, value: mover.change }));
+  const toTokenRows = (tokens, field) => tokens.map(token => ({
+    chainId: tokenChainId(token),
+    contractAddress: token.contractAddress.toLowerCase(),
+    value: token[field]
+  }));
+  
+  const [movers1h, movers24h, volumeGrowth, newLaunches] = await Promise.all([
+    computePriceMovers(db, chainId, 60 * 60 * 1000),
+    computePriceMovers(db, chainId, 24 * 60 * 60 * 1000),
+    tokensCollection.aggregate([
+      {
+        $match: {
+          $and: [
+            ...listedTokensFilter(chainId),
+            { volume_usd_h1: { $gte: LEADERBOARD_MIN_VOLUME_USD } },
+            { volume_usd_h6: { $gt: 0 } }
+          ]
+        }
+      },
+      { $project: { chainId: 1, contractAddress: 1, value: { $divide: ['$volume_usd_h1', { $divide: ['$volume_usd_h6', 6] }] } } },
+      { $sort: { value: -1, _id: 1 } },
+      { $limit: LEADERBOARD_SIZE }
+    ]).toArray(),
+    tokensCollection.find(
+      { $and: [...listedTokensFilter(chainId), { blockNumber: { $gt: 0 } }] },
+      { projection: { chainId: 1, contractAddress: 1, blockNumber: 1 } }
+    ).sort({ blockNumber: -1, _id: -1 }).limit(LEADERBOARD_SIZE).toArray()
+  ]);
+  
+  const rowsByType = {
+    'gainers-1h': toRows(movers1h.gainers),
+    'gainers-24h': toRows(movers24h.gainers),
+    'losers-1h': toRows(movers1h.losers),
+    'losers-24h': toRows(movers24h.losers),
+    'volume-growth': toTokenRows(volumeGrowth, 'value'),
+    'new-launches': toTokenRows(newLaunches, 'blockNumber')
+  };
+  
+  const boards = {};
+  for (const type of LEADERBOARD_TYPES) {
+    boards[type] = {
+      type,
+      chainId,
+      updatedAt: new Date(),
+      entries: await buildLeaderboardEntries(db, chainId, rowsByType[type])
+    };
+  }
+  return boards;
+}
+
+// Recompute the cached leaderboards of every chain and push boards whose
+// ranking changed
+async function refreshLeaderboards(db) {
+  for (const chainId of chainScopes()) {
+    const boards = await computeLeaderboards(db, chainId);
+    
+    LEADERBOARD_TYPES.forEach(type => {
+      const key = `${chainId}:${type}`;
+      const previous = leaderboards.get(key);
+      const board = boards[type];
+      leaderboards.set(key, board);
+      
+      const ranking = (entries) => entries.map(entry => tokenKey(entry.token.chainId, entry.token.contractAddress)).join(',');
+      if (!previous || ranking(previous.entries) !== ranking(board.entries)) {
+        io.to(leaderboardRoom(chainId, type)).emit('leaderboard-update', board);
+      }
+    });
+  }
+}
+
+function scheduleLeaderboards(db) {
+  refreshLeaderboards(db)
+    .catch(err => logger.error('Error refreshing leaderboards', err))
+    .finally(() => setTimeout(() => scheduleLeaderboards(db), LEADERBOARD_INTERVAL_MS));
+}
+
+async function getLeaderboard(db, chainId, type, limit) {
+  const key = `${chainId}:${type}`;
+  if (!leaderboards.has(key)) {
+    await refreshLeaderboards(db);
+  }
+  
+  const board = leaderboards.get(key);
+  const size = Math.min(Math.max(parseInt(limit, 10) || LEADERBOARD_SIZE, 1), LEADERBOARD_SIZE);
+  return { ...board, entries: board.entries.slice(0, size) };
+}
+
+// Broadcast an inserted token to the new-launch feeds of its chain and of all chains
+function publishNewToken(token) {
+  recentLaunches.push(token);
+  if (recentLaunches.length > NEW_TOKENS_BUFFER_SIZE) {
+    recentLaunches.shift();
+  }
+  
+  if (!isExcludedToken(token)) {
+    io.to([newTokensRoom(token.chainId), newTokensRoom(ALL_CHAINS)]).emit('new-tokens', [token]);
+  }
+}
+
+// Feed order: by block, then by _id
+function compareLaunches(a, b) {
+  return a.blockNumber - b.blockNumber || String(a._id).localeCompare(String(b._id));
+}
+
+// Whether a launch comes after the feed position { v: blockNumber, id }; a
+// null id stands for the end of block v
+function isLaunchAfter(token, { v, id }) {
+  if (token.blockNumber !== v) {
+    return token.blockNumber > v;
+  }
+  return id !== null && String(token._id) > String(id);
+}
+
+function newTokensRoom(chainId) {
+  return `${NEW_TOKENS_ROOM}:${chainId}`;
+}
+
+// Block numbers are per chain, so sinceBlock is best combined with a single chain
+function parseNewTokensQuery(params, defaultChainId = DEFAULT_CHAIN_ID) {
+  const chainId = parseChainId(params.chainId, defaultChainId);
+  if (chainId === null) {
+    return { error: 'Unsupported chainId' };
+  }
+  
+  const sinceBlock = params.sinceBlock === undefined ? 0 : Number(params.sinceBlock);
+  if (!Number.isInteger(sinceBlock) || sinceBlock < 0) {
+    return { error: 'sinceBlock must be a non-negative integer' };
+  }
+  
+  let cursor = null;
+  if (params.after) {
+    cursor = decodeCursor(params.after);
+    if (!cursor) {
+      return { error: 'Invalid cursor' };
+    }
+  }
+  
+  const limit = Math.min(Math.max(parseInt(params.limit, 10) || DEFAULT_NEW_TOKENS_LIMIT, 1), MAX_NEW_TOKENS_LIMIT);
+  return { query: { chainId, sinceBlock, cursor, limit } };
+}
+
+// Tokens launched after a block, oldest first, in (blockNumber, _id) order
+async function fetchNewTokens(tokensCollection, { chainId, sinceBlock, cursor, limit }) {
+  const conditions = [...listedTokensFilter(chainId), { blockNumber: { $gt: sinceBlock } }];
+  if (cursor) {
+    conditions.push(cursorCondition('blockNumber', 1, cursor));
+  }
+  
+  const tokens = await tokensCollection.find({ $and: conditions })
+    .sort({ blockNumber: 1, _id: 1 })
+    .limit(limit + 1)
+    .toArray();
+  
+  const page = tokens.slice(0, limit);
+  const lastToken = page[page.length - 1];
+  
+  return {
+    chainId,
+    tokens: page.map(token => formatToken(token)),
+    nextCursor: tokens.length > limit
+      ? encodeCursor({ v: lastToken.blockNumber, id: lastToken._id })
+      : null
+  };
+}
+
+// Conditions matching the listed tokens of a chain, or of every configured
+// chain: hidden tokens and each chain's wrapped native token never appear in listings
+function listedTokensFilter(chainId) {
+  const chains = chainId === ALL_CHAINS ? CHAINS : [chainsById.get(chainId)];
+  const excluded = [...config.excludedTokens]
+    .map(parseTokenKey)
+    .filter(token => chainId === ALL_CHAINS || token.chainId === chainId);
+  
+  return [
+    chainFilter(chainId),
+    { hidden: { $ne: true } },
+    {
+      $nor: [
+        ...chains.map(chain => ({
+          ...chainFilter(chain.chainId),
+          $or: [
+            { contractAddress: addressCondition(chain.wrappedNative) },
+            ...(chain.wrappedNativeSymbol ? [{ symbol: chain.wrappedNativeSymbol }] : [])
+          ]
+        })),
+        ...excluded.map(token => ({ ...chainFilter(token.chainId), contractAddress: addressCondition(token.contractAddress) }))
+      ]
+    }
+  ];
+}
+
+// In-memory counterpart of listedTokensFilter; tokens of chains that aren't
+// configured are excluded too
+function isExcludedToken(token) {
+  const chain = chainsById.get(tokenChainId(token));
+  
+  return !chain ||
+    token.hidden === true ||
+    config.excludedTokens.has(tokenKey(chain.chainId, token.contractAddress)) ||
+    token.contractAddress === chain.wrappedNative ||
+    Boolean(chain.wrappedNativeSymbol && token.symbol === chain.wrappedNativeSymbol);
+}
+
+// Highest first; ties are broken by _id like the query in loadTopTokens
+function compareTopTokens(field) {
+  return (a, b) => ((b[field] || 0) - (a[field] || 0)) || String(a._id).localeCompare(String(b._id));
+}
+
+// The cached rankings of a chain or of "all"
+function topTokenLists(chainId) {
+  if (!topTokens.has(chainId)) {
+    topTokens.set(chainId, { marketCap: [], volume: [] });
+  }
+  return topTokens.get(chainId);
+}
+
+// Load a ranking from Mongo, used at startup and whenever incremental updates
+// can't tell which token fills the last slot
+function loadTopTokens(db, chainId, ranking) {
+  const reloadKey = `${chainId}:${ranking}`;
+  if (topTokenReloads.has(reloadKey)) {
+    return topTokenReloads.get(reloadKey);
+  }
+  
+  const field = TOP_TOKEN_RANKINGS[ranking];
+  const previousPayload = buildTopTokensPayload(chainId);
+  
+  const reload = db.collection('tokens').find({ $and: listedTokensFilter(chainId) })
+    .sort({ [field]: -1, _id: 1 })
+    .limit(TOP_TOKENS_CACHE_SIZE)
+    .toArray()
+    .then(tokens => {
+      topTokenLists(chainId)[ranking] = tokens;
+      emitTopTokensIfChanged(chainId, previousPayload);
+    })
+    .catch(err => {
+      logger.error('Error loading top tokens', { ranking, chainId, err });
+    })
+    .finally(() => {
+      topTokenReloads.delete(reloadKey);
+    });
+  
+  topTokenReloads.set(reloadKey, reload);
+  return reload;
+}
+
+// Fold an updated token into every ranking of its chain and of "all" without
+// querying Mongo, unless the token drops out of a full cache and the next
+// token in line is unknown
+function applyTopTokenUpdate(db, token) {
+  const listed = !isExcludedToken(token);
+  const chainIds = [tokenChainId(token), ALL_CHAINS].filter(chainId => topTokens.has(chainId));
+  
+  chainIds.forEach(chainId => {
+    const previousPayload = buildTopTokensPayload(chainId);
+    
+    Object.entries(TOP_TOKEN_RANKINGS).forEach(([ranking, field]) => {
+      const list = topTokenLists(chainId)[ranking];
+      // A cache that isn't full holds every listed token
+      const complete = list.length < TOP_TOKENS_CACHE_SIZE;
+      const index = list.findIndex(cached => String(cached._id) === String(token._id));
+      
+      if (index !== -1) {
+        list.splice(index, 1);
+      }
+      
+      if (!listed) {
+        if (index !== -1 && !complete) loadTopTokens(db, chainId, ranking);
+        return;
+      }
+      
+      const last = list[list.length - 1];
+      const fitsInCache = complete ||
+        list.length < TOP_TOKENS_CACHE_SIZE - (index !== -1 ? 1 : 0) ||
+        compareTopTokens(field)(token, last) < 0;
+      
+      if (fitsInCache) {
+        list.push(token);
+        list.sort(compareTopTokens(field));
+        list.length = Math.min(list.length, TOP_TOKENS_CACHE_SIZE);
+      } else if (index !== -1) {
+        loadTopTokens(db, chainId, ranking);
+      }
+    });
+    
+    emitTopTokensIfChanged(chainId, previousPayload);
+  });
+}
+
+// Deletes only carry the _id, so every chain's rankings are checked
+function applyTopTokenRemoval(db, tokenId) {
+  topTokens.forEach((lists, chainId) => {
+    const previousPayload = buildTopTokensPayload(chainId);
+    
+    Object.keys(TOP_TOKEN_RANKINGS).forEach(ranking => {
+      const list = lists[ranking];
+      const index = list.findIndex(cached => String(cached._id) === String(tokenId));
+      if (index === -1) return;
+      
+      const complete = list.length < TOP_TOKENS_CACHE_SIZE;
+      list.splice(index, 1);
+      if (!complete) loadTopTokens(db, chainId, ranking);
+    });
+    
+    emitTopTokensIfChanged(chainId, previousPayload);
+  });
+}
+
+function buildTopTokensPayload(chainId) {
+  const lists = topTokens.get(chainId);
+  if (!lists) return null;
+  
+  const [topMarketCapToken] = lists.marketCap;
+  const [topVolumeToken] = lists.volume;
+  if (!topMarketCapToken || !topVolumeToken) return null;
+  
+  return {
+    chainId,
+    topMarketCapToken: formatToken(topMarketCapToken),
+    topVolumeToken: formatToken(topVolumeToken)
+  };
+}
+
+// Broadcast top-tokens-update to a chain's sockets only when its top market
+// cap or volume token changed
+function emitTopTokensIfChanged(chainId, previousPayload) {
+  const payload = buildTopTokensPayload(chainId);
+  if (!payload) return;
+  
+  const leaders = (p) => p && `${p.topMarketCapToken._id}:${p.topVolumeToken._id}`;
+  if (leaders(payload) !== leaders(previousPayload)) {
+    io.to(chainRoom(chainId)).emit('top-tokens-update', payload);
+  }
+}
+
+function escapeRegex(value) {
+  return value.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+}
+
+// Ranked token search: exact address match first, then symbol prefix,
+// then name prefix, then any substring match; ties go to market cap
+async function searchTokens(tokensCollection, term, { chainId, skip = 0, limit, projection }) {
+  const escaped = escapeRegex(term);
+  const substring = new RegExp(escaped, 'i');
+  const address = term.toLowerCase();
+  
+  const prefixMatch = (field) => ({
+    $regexMatch: {
+      input: { $toString: { $ifNull: [field, ''] } },
+      regex: `^${escaped}`,
+      options: 'i'
+    }
+  });
+  
+  const results = await tokensCollection.aggregate([
+    {
+      $match: {
+        $and: [
+          ...listedTokensFilter(chainId),
+          {
+            $or: [
+              { contractAddress: address },
+              { contractAddress: new RegExp(`^${escaped}`, 'i') },
+              { symbol: substring },
+              { name: substring }
+            ]
+          }
+        ]
+      }
+    },
+    {
+      $addFields: {
+        _searchRank: {
+          $switch: {
+            branches: [
+              { case: { $eq: [{ $toLower: '$contractAddress' }, address] }, then: 0 },
+              { case: prefixMatch('$symbol'), then: 1 },
+              { case: prefixMatch('$name'), then: 2 }
+            ],
+            default: 3
+          }
+        }
+      }
+    },
+    { $sort: { _searchRank: 1, market_cap_usd: -1, _id: 1 } },
+    { $skip: skip },
+    // One extra result tells us whether there is another page
+    { $limit: limit + 1 },
+    { $project: projection || { _searchRank: 0 } }
+  ]).toArray();
+  
+  return {
+    tokens: results.slice(0, limit),
+    hasMore: results.length > limit
+  };
+}
+
+// Turn get-tokens params into a query, sort and page definition. The chain
+// defaults to the requesting socket's. Pagination uses an opaque `after`
+// cursor when given and falls back to `page`.
+function buildTokenListQuery(params, defaultChainId = DEFAULT_CHAIN_ID) {
+  const chainId = parseChainId(params.chainId, defaultChainId);
+  if (chainId === null) {
+    return { error: 'Unsupported chainId' };
+  }
+  
+  const sortKey = TOKEN_SORT_FIELDS[params.sort] ? params.sort : 'price';
+  const sortField = TOKEN_SORT_FIELDS[sortKey];
+  const direction = params.direction === 'asc' ? 1 : -1;
+  
+  const pageSize = params.pageSize === undefined ? DEFAULT_PAGE_SIZE : parseInt(params.pageSize, 10);
+  if (!Number.isInteger(pageSize) || pageSize < 1) {
+    return { error: 'Invalid pageSize' };
+  }
+  
+  const conditions = listedTokensFilter(chainId);
+  
+  // If sorting by block number, ensure we only get tokens with block numbers
+  if (sortKey === 'blockNumber') {
+    conditions.push({ blockNumber: { $exists: true, $ne: null, $gt: 0 } });
+  }
+  
+  for (const [name, field] of Object.entries(TOKEN_RANGE_FILTERS)) {
+    for (const [bound, operator] of [['min', '$gte'], ['max', '$lte']]) {
+      const value = params[`${bound}${name}`];
+      if (value === undefined || value === null || value === '') continue;
+      
+      const number = Number(value);
+      if (!Number.isFinite(number)) {
+        return { error: `Invalid ${bound}${name}` };
+      }
+      conditions.push({ [field]: { [operator]: number } });
+    }
+  }
+  
+  // Age filter on the token's creation time
+  if (params.maxAgeSeconds !== undefined) {
+    const maxAgeSeconds = Number(params.maxAgeSeconds);
+    if (!Number.isFinite(maxAgeSeconds) || maxAgeSeconds <= 0) {
+      return { error: 'Invalid maxAgeSeconds' };
+    }
+    conditions.push({ createdAt: { $gte: new Date(Date.now() - maxAgeSeconds * 1000) } });
+  }
+  
+  const filter = { $and: conditions };
+  let cursorFilter = null;
+  let skip = 0;
+  
+  if (params.after) {
+    const cursor = decodeCursor(params.after);
+    if (!cursor) {
+      return { error: 'Invalid cursor' };
+    }
+    cursorFilter = cursorCondition(sortField, direction, cursor);
+  } else {
+    const page = parseInt(params.page, 10) || 1;
+    skip = (Math.max(page, 1) - 1) * Math.min(pageSize, MAX_PAGE_SIZE);
+  }
+  
+  return {
+    listQuery: {
+      chainId,
+      filter,
+      cursorFilter,
+      sort: { [sortField]: direction, _id: direction },
+      sortField,
+      pageSize: Math.min(pageSize, MAX_PAGE_SIZE),
+      skip
+    }
+  };
+}
+
+// Run a list query and shape the tokens-list-update payload
+async function fetchTokenPage(tokensCollection, listQuery) {
+  const { chainId, filter, cursorFilter, sort, sortField, pageSize, skip } = listQuery;
+  const query = cursorFilter ? { $and: [filter, cursorFilter] } : filter;
+  
+  const [tokens, totalCount] = await Promise.all([
+    tokensCollection.find(query).sort(sort).skip(skip).limit(pageSize).toArray(),
+    tokensCollection.countDocuments(filter)
+  ]);
+  
+  const lastToken = tokens[tokens.length - 1];
+  const nextCursor = tokens.length === pageSize
+    ? encodeCursor({ v: lastToken[sortField] ?? null, id: lastToken._id })
+    : null;
+  
+  return {
+    chainId,
+    tokens: tokens.map(token => formatToken(token)),
+    totalPages: Math.ceil(totalCount / pageSize),
+    pageSize,
+    nextCursor
+  };
+}
+
+// Cursors are the sort value and _id of the last token on a page, as
+// base64url-encoded Extended JSON so ObjectIds survive the round trip
+function encodeCursor(cursor) {
+  return Buffer.from(BSON.EJSON.stringify(cursor)).toString('base64url');
+}
+
+function decodeCursor(value) {
+  if (typeof value !== 'string') return null;
+  
+  try {
+    const cursor = BSON.EJSON.parse(Buffer.from(value, 'base64url').toString('utf8'));
+    if (!cursor || cursor.id === undefined || !('v' in cursor)) return null;
+    if (cursor.v !== null && typeof cursor.v !== 'number') return null;
+    return cursor;
+  } catch (err) {
+    return null;
+  }
+}
+
+// Match documents strictly after the cursor in (sortField, _id) order.
+// Missing sort values sort as null, which is below every number.
+function cursorCondition(sortField, direction, { v, id }) {
+  const idOperator = direction === 1 ? '$gt' : '$lt';
+  
+  if (v === null) {
+    return direction === 1
+      ? { $or: [{ [sortField]: { $ne: null } }, { [sortField]: null, _id: { $gt: id } }] }
+      : { [sortField]: null, _id: { $lt: id } };
+  }
+  
+  const conditions = [
+    { [sortField]: { [idOperator]: v } },
+    { [sortField]: v, _id: { [idOperator]: id } }
+  ];
+  
+  // Descending order ends with the tokens that have no sort value
+  if (direction === -1) {
+    conditions.push({ [sortField]: null });
+  }
+  
+  return { $or: conditions };
+}
+
+// Create the price history time-series collection on first start
+async function ensurePriceHistoryCollection(db) {
+  const existing = await db.listCollections({ name: 'price_history' }, { nameOnly: true }).toArray();
+  
+  if (existing.length === 0) {
+    await db.createCollection('price_history', {
+      timeseries: {
+        timeField: 'timestamp',
+        metaField: 'contractAddress',
+        granularity: 'seconds'
+      },
+      expireAfterSeconds: PRICE_HISTORY_RETENTION_DAYS * 24 * 60 * 60
+    });
+    logger.info('Created price_history time-series collection');
+  }
+  
+  await db.collection('price_history').createIndex({ contractAddress: 1, timestamp: 1 });
+}
+
+// Store a price/volume snapshot for a token when either value moved
+async function recordPriceSnapshot(db, token) {
+  const contractAddress = typeof token.contractAddress === 'string'
+    ? token.contractAddress.toLowerCase()
+    : null;
+  const chainId = tokenChainId(token);
+  const price = token.price_usd || 0;
+  const volume24h = token.volume_usd_24h || 0;
+  
+  if (!contractAddress || price <= 0) return;
+  
+  const key = tokenKey(chainId, contractAddress);
+  const previous = lastPriceSnapshots.get(key);
+  if (previous && previous.price_usd === price && previous.volume_usd_24h === volume24h) {
+    return;
+  }
+  
+  // Tokens only carry a rolling 24h volume, so the traded volume of a snapshot
+  // is approximated as the increase since the previous snapshot
+  const snapshot = {
+    timestamp: new Date(),
+    chainId,
+    contractAddress,
+    price_usd: price,
+    market_cap_usd: token.market_cap_usd || 0,
+    volume_usd_24h: volume24h,
+    volume: previous ? Math.max(0, volume24h - previous.volume_usd_24h) : 0
+  };
+  
+  lastPriceSnapshots.set(key, snapshot);
+  updateLiveCandles(snapshot);
+  
+  await db.collection('price_history').insertOne({ ...snapshot });
+}
+
+// Fold a snapshot into the in-progress candle of every resolution and
+// stream the result to sockets watching that chart
+function updateLiveCandles(snapshot) {
+  const time = snapshot.timestamp.getTime();
+  
+  Object.entries(CANDLE_RESOLUTIONS).forEach(([resolution, { ms }]) => {
+    const key = `${tokenKey(snapshot.chainId, snapshot.contractAddress)}:${resolution}`;
+    const bucketStart = Math.floor(time / ms) * ms;
+    let candle = liveCandles.get(key);
+    
+    if (!candle || candle.time !== bucketStart) {
+      candle = {
+        time: bucketStart,
+        open: snapshot.price_usd,
+        high: snapshot.price_usd,
+        low: snapshot.price_usd,
+        close: snapshot.price_usd,
+        volume: 0
+      };
+      liveCandles.set(key, candle);
+    }
+    
+    candle.high = Math.max(candle.high, snapshot.price_usd);
+    candle.low = Math.min(candle.low, snapshot.price_usd);
+    candle.close = snapshot.price_usd;
+    candle.volume += snapshot.volume;
+    
+    io.to(candleRoom(snapshot.chainId, snapshot.contractAddress, resolution)).emit('candle-update', {
+      chainId: snapshot.chainId,
+      contractAddress: snapshot.contractAddress,
+      resolution,
+      candle
+    });
+  });
+}
+
+function scheduleLivePriceSweep() {
+  setTimeout(() => {
+    const now = Date.now();
+    for (const [key, candle] of liveCandles) {
+      const resolution = key.slice(key.lastIndexOf(':') + 1);
+      if (now >= candle.time + CANDLE_RESOLUTIONS[resolution].ms) {
+        liveCandles.delete(key);
+      }
+    }
+    for (const [key, snapshot] of lastPriceSnapshots) {
+      if (now - snapshot.timestamp.getTime() > PRICE_SNAPSHOT_IDLE_MS) {
+        lastPriceSnapshots.delete(key);
+      }
+    }
+    scheduleLivePriceSweep();
+  }, LIVE_PRICE_SWEEP_INTERVAL_MS);
+}
+
+function candleRoom(chainId, contractAddress, resolution) {
+  return `candles:${chainId}:${contractAddress}:${resolution}`;
+}
+
+// Validate candle request params shared by the socket event and HTTP route.
+// from/to are unix timestamps in milliseconds.
+function parseCandleQuery(params, defaultChainId = DEFAULT_CHAIN_ID) {
+  const { resolution = '1h' } = params;
+  
+  if (!params.contractAddress) {
+    return { error: 'Contract address is required' };
+  }
+  
+  const contractAddress = normalizeAddress(params.contractAddress);
+  if (!contractAddress) {
+    return { error: 'Invalid contract address' };
+  }
+  
+  const chainId = parseTokenChainId(params.chainId, defaultChainId);
+  if (chainId === null) {
+    return { error: 'Unsupported chainId' };
+  }
+  
+  const resolutionConfig = CANDLE_RESOLUTIONS[resolution];
+  if (!resolutionConfig) {
+    return { error: `Unsupported resolution, expected one of ${Object.keys(CANDLE_RESOLUTIONS).join(', ')}` };
+  }
+  
+  const limit = Math.min(parseInt(params.limit, 10) || DEFAULT_CANDLE_LIMIT, MAX_CANDLE_LIMIT);
+  const to = params.to !== undefined ? Number(params.to) : Date.now();
+  const from = params.from !== undefined ? Number(params.from) : to - limit * resolutionConfig.ms;
+  
+  if (!Number.isFinite(from) || !Number.isFinite(to) || from >= to) {
+    return { error: 'Invalid time range' };
+  }
+  
+  return {
+    query: {
+      chainId,
+      contractAddress,
+      resolution,
+      from,
+      to,
+      limit: Math.max(limit, 1)
+    }
+  };
+}
+
+// Aggregate stored snapshots into OHLCV candles, oldest first
+async function getCandles(db, { chainId, contractAddress, resolution, from, to, limit }) {
+  const { unit, binSize } = CANDLE_RESOLUTIONS[resolution];
+  
+  return db.collection('price_history').aggregate([
+    {
+      $match: {
+        $and: [
+          chainFilter(chainId),
+          { contractAddress, timestamp: { $gte: new Date(from), $lt: new Date(to) } }
+        ]
+      }
+    },
+    { $sort: { timestamp: 1 } },
+    {
+      $group: {
+        _id: { $dateTrunc: { date: '$timestamp', unit, binSize } },
+        open: { $first: '$price_usd' },
+        high: { $max: '$price_usd' },
+        low: { $min: '$price_usd' },
+        close: { $last: '$price_usd' },
+        volume: { $sum: '$volume' }
+      }
+    },
+    // Keep the most recent candles when the range holds more than the limit
+    { $sort: { _id: -1 } },
+    { $limit: limit },
+    { $sort: { _id: 1 } },
+    {
+      $project: {
+        _id: 0,
+        time: { $toLong: '$_id' },
+        open: 1,
+        high: 1,
+        low: 1,
+        close: 1,
+        volume: 1
+      }
+    }
+  ]).toArray();
+}
+
+// Per-IP and per-route rate limit of the API routes; both answer 429 with
+// Retry-After. The per-IP bucket is shared with the IP's sockets.
+function rateLimitRoute(req, res, next) {
+  const route = `${req.method} ${req.route.path}`;
+  const retryAfterMs =
+    takeIpRateLimitToken(`ip:${req.ip}`, RATE_LIMITS.ip) ||
+    takeIpRateLimitToken(`${req.ip}|${route}`, RATE_LIMITS.routes[route] || RATE_LIMITS.httpRoute);
+  if (!retryAfterMs) {
+    return next();
+  }
+  
+  const retryAfter = Math.ceil(retryAfterMs / 1000);
+  res.set('Retry-After', String(retryAfter));
+  res.status(429).json({ error: 'Too many requests', code: 'rate_limited', retryAfter });
+}
+
+// A logger whose lines all carry the given fields; child() adds more
+function createLogger(bindings = {}, sampleRate = 1) {
+  const write = (level, msg, fields) => {
+    if (LOG_LEVELS[level] < LOG_LEVELS[logSettings.logLevel]) return;
+    
+    const entry = { time: new Date().toISOString(), level, msg, ...bindings };
+    if (fields instanceof Error) {
+      entry.err = serializeError(fields);
+    } else if (fields) {
+      for (const [key, value] of Object.entries(fields)) {
+        entry[key] = value instanceof Error ? serializeError(value) : value;
+      }
+    }
+    if (sampleRate < 1) entry.sampleRate = sampleRate;
+    
+    let line;
+    try {
+      line = JSON.stringify(entry);
+    } catch (err) {
+      line = JSON.stringify({ time: entry.time, level, msg, ...bindings, logError: err.message });
+    }
+    process.stdout.write(`${line}\n`);
+  };
+  
+  const log = {
+    debug: (msg, fields) => write('debug', msg, fields),
+    info: (msg, fields) => write('info', msg, fields),
+    warn: (msg, fields) => write('warn', msg, fields),
+    error: (msg, fields) => write('error', msg, fields),
+    isLevelEnabled: level => LOG_LEVELS[level] >= LOG_LEVELS[logSettings.logLevel],
+    child: fields => createLogger({ ...bindings, ...fields }, sampleRate),
+    // Keeps logSampleRates[name] of the calls; the rest are dropped
+    sampled: name => {
+      const rate = logSettings.logSampleRates[name] === undefined ? 1 : logSettings.logSampleRates[name];
+      return Math.random() < rate ? createLogger(bindings, rate) : silentLogger;
+    }
+  };
+  return log;
+}
+
+const silentLogger = {
+  debug: () => {},
+  info: () => {},
+  warn: () => {},
+  error: () => {},
+  isLevelEnabled: () => false,
+  child: () => silentLogger,
+  sampled: () => silentLogger
+};
+
+function serializeError(err) {
+  return {
+    name: err.name,
+    message: err.message,
+    ...(err.code !== undefined ? { code: err.code } : {}),
+    stack: err.stack
+  };
+}
+
+// Take a token from a bucket that refills continuously up to its capacity.
+// Returns 0 when a token was taken, else the ms until one is available.
+function takeRateLimitToken(buckets, key, { capacity, refillPerSecond }) {
+  const now = Date.now();
+  let bucket = buckets.get(key);
+  if (!bucket) {
+    bucket = { tokens: capacity, updatedAt: now };
+    buckets.set(key, bucket);
+  }
+  
+  bucket.tokens = Math.min(capacity, bucket.tokens + (now - bucket.updatedAt) / 1000 * refillPerSecond);
+  bucket.updatedAt = now;
+  
+  if (bucket.tokens >= 1) {
+    bucket.tokens -= 1;
+    return 0;
+  }
+  return Math.ceil((1 - bucket.tokens) / refillPerSecond * 1000);
+}
+
+// takeRateLimitToken for the shared buckets keyed by client IP, which never
+// limit while per-IP limits are off
+function takeIpRateLimitToken(key, rule) {
+  return PER_IP_LIMITS ? takeRateLimitToken(rateLimitBuckets, key, rule) : 0;
+}
+
+// Drop buckets that have refilled completely, since they behave like new ones
+function scheduleRateLimitSweep() {
+  setTimeout(() => {
+    const now = Date.now();
+    for (const [key, bucket] of rateLimitBuckets) {
+      if (now - bucket.updatedAt > RATE_LIMIT_SWEEP_INTERVAL_MS * 10) {
+        rateLimitBuckets.delete(key);
+      }
+    }
+    scheduleRateLimitSweep();
+  }, RATE_LIMIT_SWEEP_INTERVAL_MS);
+}
+
+// The client IP of a socket, trusting TRUST_PROXY_HOPS X-Forwarded-For entries
+// like Express does for requests
+function socketClientIp(socket) {
+  const forwarded = TRUST_PROXY_HOPS > 0 ? String(socket.handshake.headers['x-forwarded-for'] || '') : '';
+  const addresses = [
+    ...forwarded.split(',').map(address => address.trim()).filter(Boolean),
+    socket.handshake.address
+  ];
+  return addresses[Math.max(addresses.length - 1 - TRUST_PROXY_HOPS, 0)];
+}
+
+// Validate RATE_LIMITS and merge it over the defaults
+function parseRateLimitsConfig(value) {
+  const limits = {
+    ip: { capacity: 300, refillPerSecond: 50 },
+    connection: { capacity: 20, refillPerSecond: 1 },
+    socketEvent: { capacity: 30, refillPerSecond: 10 },
+    httpRoute: { capacity: 60, refillPerSecond: 10 },
+    events: {
+      'search-tokens': { capacity: 10, refillPerSecond: 2 },
+      'get-tokens': { capacity: 10, refillPerSecond: 2 },
+      'get-global-stats': { capacity: 5, refillPerSecond: 1 },
+      'get-tokens-by-address': { capacity: 10, refillPerSecond: 2 },
+      'get-candles': { capacity: 10, refillPerSecond: 2 },
+      'get-leaderboard': { capacity: 10, refillPerSecond: 2 },
+      'resync-tokens': { capacity: 5, refillPerSecond: 1 },
+      'subscribe-new-tokens': { capacity: 5, refillPerSecond: 1 },
+      'authenticate-wallet': { capacity: 5, refillPerSecond: 0.2 },
+      'alert-create': { capacity: 5, refillPerSecond: 0.2 }
+    },
+    routes: {
+      'GET /api/global-stats/history': { capacity: 10, refillPerSecond: 1 },
+      'GET /api/tokens/new': { capacity: 10, refillPerSecond: 2 },
+      'POST /api/tokens/batch': { capacity: 10, refillPerSecond: 2 },
+      'POST /api/update-token-info-url': { capacity: 5, refillPerSecond: 0.2 }
+    }
+  };
+  if (!value) return limits;
+  
+  const validRule = rule => rule !== null && typeof rule === 'object' &&
+    Number.isFinite(rule.capacity) && rule.capacity >= 1 &&
+    Number.isFinite(rule.refillPerSecond) && rule.refillPerSecond > 0;
+  
+  const overrides = typeof value === 'string' ? JSON.parse(value) : value;
+  if (overrides === null || typeof overrides !== 'object' || Array.isArray(overrides)) {
+    throw new Error('expected a JSON object');
+  }
+  for (const [name, override] of Object.entries(overrides)) {
+    if (name === 'events' || name === 'routes') {
+      for (const [key, rule] of Object.entries(override || {})) {
+        if (!validRule(rule)) {
+          throw new Error(`Invalid RATE_LIMITS rule for ${name}.${key}: ${JSON.stringify(rule)}`);
+        }
+        limits[name][key] = rule;
+      }
+    } else if (limits[name] && validRule(override)) {
+      limits[name] = override;
+    } else {
+      throw new Error(`Invalid RATE_LIMITS rule for ${name}: ${JSON.stringify(override)}`);
+    }
+  }
+  return limits;
+}
+
+// Express middleware for operator-only routes
+function requireAdmin(req, res, next) {
+  if (!ADMIN_API_KEY) {
+    return res.status(503).json({ error: 'Admin API is not configured' });
+  }
+  
+  const header = req.get('authorization') || '';
+  const provided = header.startsWith('Bearer ') ? header.slice('Bearer '.length) : '';
+  
+  // Compare digests so the check takes the same time for any input length
+  const digest = (value) => crypto.createHash('sha256').update(value).digest();
+  if (!crypto.timingSafeEqual(digest(provided), digest(ADMIN_API_KEY))) {
+    return res.status(401).json({ error: 'Invalid admin credentials' });
+  }
+  
+  next();
+}
+
+function formatWebhookSubscription(subscription) {
+  return {
+    id: String(subscription._id),
+    url: subscription.url,
+    events: subscription.events,
+    description: subscription.description,
+    active: subscription.active,
+    createdAt: subscription.createdAt
+  };
+}
+
+// Queue an event for every active subscription that listens to it
+async function enqueueWebhookEvent(db, event, data) {
+  const subscriptions = await db.collection('webhook_subscriptions')
+    .find({ active: true, events: event }, { projection: { _id: 1 } })
+    .toArray();
+  if (subscriptions.length === 0) return;
+  
+  const now = new Date();
+  await db.collection('webhook_deliveries').insertMany(subscriptions.map(subscription => ({
+    subscriptionId: subscription._id,
+    event,
+    payload: data,
+    status: 'pending',
+    attemptCount: 0,
+    attempts: [],
+    nextAttemptAt: now,
+    createdAt: now
+  })));
+}
+
+function scheduleWebhookDeliveries(db) {
+  processWebhookDeliveries(db)
+    .catch(err => logger.error('Error processing webhook deliveries', err))
+    .finally(() => setTimeout(() => scheduleWebhookDeliveries(db), WEBHOOK_POLL_INTERVAL_MS));
+}
+
+// Send every delivery that is due
+async function processWebhookDeliveries(db) {
+  const deliveriesCollection = db.collection('webhook_deliveries');
+  const deliveries = await deliveriesCollection
+    .find({ status: 'pending', nextAttemptAt: { $lte: new Date() } })
+    .sort({ nextAttemptAt: 1 })
+    .limit(WEBHOOK_BATCH_SIZE)
+    .toArray();
+  if (deliveries.length === 0) return;
+  
+  const subscriptions = await db.collection('webhook_subscriptions')
+    .find({ _id: { $in: deliveries.map(delivery => delivery.subscriptionId) } })
+    .toArray();
+  const subscriptionsById = new Map(subscriptions.map(subscription => [String(subscription._id), subscription]));
+  
+  await Promise.all(deliveries.map(async (delivery) => {
+    const subscription = subscriptionsById.get(String(delivery.subscriptionId));
+    if (!subscription || !subscription.active) {
+      return deliveriesCollection.updateOne(
+        { _id: delivery._id },
+        { $set: { status: 'dead', lastError: 'Subscription removed' } }
+      );
+    }
+    
+    const attempt = await sendWebhook(subscription, delivery);
+    const attemptCount = delivery.attemptCount + 1;
+    
+    let update;
+    if (attempt.ok) {
+      update = { status: 'delivered', deliveredAt: attempt.at };
+    } else if (attemptCount >= WEBHOOK_MAX_ATTEMPTS) {
+      update = { status: 'dead', lastError: attempt.error };
+    } else {
+      const delay = Math.min(WEBHOOK_RETRY_BASE_MS * 2 ** (attemptCount - 1), WEBHOOK_RETRY_MAX_MS);
+      update = { nextAttemptAt: new Date(Date.now() + delay), lastError: attempt.error };
+    }
+    
+    await deliveriesCollection.updateOne(
+      { _id: delivery._id },
+      { $set: { ...update, attemptCount }, $push: { attempts: attempt } }
+    );
+  }));
+}
+
+// POST one delivery, signed with HMAC-SHA256 over "<timestamp>.<body>"
+async function sendWebhook(subscription, delivery) {
+  const startedAt = Date.now();
+  const timestamp = Math.floor(startedAt / 1000);
+  const body = JSON.stringify({
+    id: String(delivery._id),
+    event: delivery.event,
+    createdAt: delivery.createdAt,
+    data: delivery.payload
+  });
+  const signature = crypto.createHmac('sha256', subscription.secret)
+    .update(`${timestamp}.${body}`)
+    .digest('hex');
+  
+  try {
+    const response = await postWebhook(subscription.url, {
+      'X-Webhook-Event': delivery.event,
+      'X-Webhook-Delivery': String(delivery._id),
+      'X-Webhook-Signature': `t=${timestamp},v1=${signature}`
+    }, body);
+    
+    return {
+      at: new Date(startedAt),
+      ok: response.ok,
+      statusCode: response.status,
+      durationMs: Date.now() - startedAt,
+      error: response.ok ? null : `HTTP ${response.status}`
+    };
+  } catch (err) {
+    return {
+      at: new Date(startedAt),
+      ok: false,
+      statusCode: null,
+      durationMs: Date.now() - startedAt,
+      error: err.message
+    };
+  }
+}
+
+// Build the exact message a wallet must personal_sign to authorize an action.
+// The Contract line is left out for actions that aren't about a single token.
+function buildAuthMessage({ action, chainId, contractAddress, dataHash, nonce, expiresAt }) {
+  return [
+    'KingOfApes authorization',
+    `Action: ${action}`,
+    ...(chainId !== undefined ? [`Chain: ${chainId}`] : []),
+    ...(contractAddress ? [`Contract: ${String(contractAddress).toLowerCase()}`] : []),
+    ...(dataHash ? [`Data: ${dataHash}`] : []),
+    `Nonce: ${nonce}`,
+    `Expires: ${expiresAt}`
+  ].join('\n');
+}
+
+function httpError(status, message) {
+  const err = new Error(message);
+  err.status = status;
+  return err;
+}
+
+// An error for a socket client, with a code from the error envelope
+function socketError(code, message) {
+  const err = new Error(message);
+  err.socketCode = code;
+  return err;
+}
+
+function requireSocketWallet(socket) {
+  if (!socket.data.wallet) {
+    throw socketError('unauthorized', 'Wallet authentication required');
+  }
+}
+
+// Register a socket event handler. Each request first takes a token from the
+// socket's and its IP's rate limits, then its payload is checked against
+// SOCKET_EVENT_SCHEMAS. The handler is called with (params, reply, log):
+// reply(event, payload) answers through the acknowledgement callback when the
+// client passed one, and emits event otherwise (nothing when event is null);
+// log carries the socket id, the event and the requestId.
+// Validation failures and errors thrown by the handler are sent as
+// { event, code, message, requestId }: as { error } through the ack, or as an
+// 'error' event. requestId echoes params.requestId, or is generated.
+// Rate-limited requests are answered the same way with code rate_limited and
+// retryAfter in seconds, as a 'rate-limited' event when there's no ack.
+function onSocketEvent(socket, event, handler) {
+  const schema = SOCKET_EVENT_SCHEMAS[event];
+  
+  socket.on(event, async (...args) => {
+    const ack = typeof args[args.length - 1] === 'function' ? args.pop() : null;
+    let params = args[0];
+    
+    const isObject = params !== null && typeof params === 'object' && !Array.isArray(params);
+    const requestId = isObject && typeof params.requestId === 'string' && params.requestId
+      ? params.requestId.slice(0, MAX_REQUEST_ID_LENGTH)
+      : crypto.randomUUID();
+    
+    const reply = (responseEvent, payload) => {
+      if (ack) {
+        ack(payload);
+      } else if (responseEvent) {
+        socket.emit(responseEvent, payload);
+      }
+    };
+    const log = (socket.data.log || logger).child({ event, requestId });
+    
+    incrementCounter(metrics.socketEvents, event);
+    
+    const retryAfterMs =
+      takeRateLimitToken(socket.data.rateBuckets, event, RATE_LIMITS.events[event] || RATE_LIMITS.socketEvent) ||
+      takeIpRateLimitToken(`ip:${socket.data.ip}`, RATE_LIMITS.ip);
+    if (retryAfterMs) {
+      incrementCounter(metrics.socketErrors, `${event} rate_limited`);
+      log.warn('Socket request rate limited', { ip: socket.data.ip });
+      const error = {
+        event,
+        code: 'rate_limited',
+        message: 'Too many requests',
+        requestId,
+        retryAfter: Math.ceil(retryAfterMs / 1000)
+      };
+      if (ack) {
+        ack({ error });
+      } else {
+        socket.emit('rate-limited', error);
+      }
+      return;
+    }
+    
+    const startedAt = process.hrtime.bigint();
+    try {
+      const invalid = validateSocketPayload(schema, params);
+      if (invalid) {
+        throw socketError('invalid_params', invalid);
+      }
+      if ((params === undefined || params === null) && schema.optional) {
+        params = schema.type === 'array' ? [] : {};
+      }
+      
+      await handler(params, reply, log);
+    } catch (err) {
+      const code = err.socketCode || STATUS_ERROR_CODES[err.status] || 'internal_error';
+      if (code === 'internal_error') {
+        log.error('Error handling socket event', err);
+      }
+      incrementCounter(metrics.socketErrors, `${event} ${code}`);
+      
+      const error = {
+        event,
+        code,
+        message: code === 'internal_error' ? `Failed to handle ${event}` : err.message,
+        requestId
+      };
+      if (ack) {
+        ack({ error });
+      } else {
+        socket.emit('error', error);
+      }
+    } finally {
+      if (!metrics.handlerLatency.has(event)) {
+        metrics.handlerLatency.set(event, createHistogram(LATENCY_BUCKETS_SECONDS));
+      }
+      observeHistogram(metrics.handlerLatency.get(event), Number(process.hrtime.bigint() - startedAt) / 1e9);
+    }
+  });
+}
+
+// Check a socket payload against a schema of SOCKET_EVENT_SCHEMAS. Returns a
+// message naming the offending field, or null when the payload is valid.
+function validateSocketPayload(schema, value, path = 'params') {
+  if (value === undefined || value === null) {
+    return schema.optional || schema.type === 'any' ? null : `${path} is required`;
+  }
+  
+  switch (schema.type) {
+    case 'any':
+      return null;
+    case 'object': {
+      if (typeof value !== 'object' || Array.isArray(value)) return `${path} must be an object`;
+      
+      for (const field of schema.required || []) {
+        if (value[field] === undefined || value[field] === null) return `${path}.${field} is required`;
+      }
+      for (const [field, fieldSchema] of Object.entries(schema.properties || {})) {
+        const fieldValue = value[field];
+        if (fieldValue === undefined || fieldValue === null || fieldValue === '') continue;
+        
+        const error = validateSocketPayload(fieldSchema, fieldValue, `${path}.${field}`);
+        if (error) return error;
+      }
+      return null;
+    }
+    case 'array': {
+      if (!Array.isArray(value)) return `${path} must be an array`;
+      if (schema.maxItems !== undefined && value.length > schema.maxItems) {
+        return `${path} must have at most ${schema.maxItems} items`;
+      }
+      for (let i = 0; i < value.length; i++) {
+        const error = validateSocketPayload(schema.items, value[i], `${path}[${i}]`);
+        if (error) return error;
+      }
+      return null;
+    }
+    case 'string':
+      if (typeof value !== 'string') return `${path} must be a string`;
+      if (schema.maxLength !== undefined && value.length > schema.maxLength) {
+        return `${path} must be at most ${schema.maxLength} characters`;
+      }
+      if (schema.enum && !schema.enum.includes(value)) {
+        return `${path} must be one of ${schema.enum.join(', ')}`;
+      }
+      return null;
+    case 'number': {
+      const number = typeof value === 'string' && value.trim() !== '' ? Number(value) : value;
+      if (typeof number !== 'number' || !Number.isFinite(number)) return `${path} must be a number`;
+      if (schema.integer && !Number.isInteger(number)) return `${path} must be an integer`;
+      if (schema.minimum !== undefined && number < schema.minimum) {
+        return `${path} must be at least ${schema.minimum}`;
+      }
+      return null;
+    }
+    case 'boolean':
+      return typeof value === 'boolean' ? null : `${path} must be a boolean`;
+    case 'address':
+      return normalizeAddress(value) ? null : `${path} must be a 0x-prefixed 20-byte hex address`;
+    case 'chainId':
+      return typeof value === 'number' || typeof value === 'string' ? null : `${path} must be a chain id or "all"`;
+    case 'token':
+      if (typeof value === 'object') {
+        return validateSocketPayload({
+          type: 'object',
+          required: ['contractAddress'],
+          properties: { chainId: { type: 'chainId' }, contractAddress: { type: 'address' } }
+        }, value, path);
+      }
+      return validateSocketPayload({ type: 'address' }, value, path);
+    default:
+      throw new Error(`Unknown schema type ${schema.type}`);
+  }
+}
+
+// SHA-256 (hex) of the signed fields of an update-token-info body, as JSON
+// with absent fields left out and object keys sorted at every level, so a
+// signature authorizes only the values it was made for
+function hashSignedMetadata(body) {
+  const fields = {};
+  SIGNED_METADATA_FIELDS.forEach(field => {
+    if (body[field] !== undefined) {
+      fields[field] = body[field];
+    }
+  });
+  return crypto.createHash('sha256').update(canonicalJson(fields)).digest('hex');
+}
+
+// SHA-256 (hex) of the sorted "<chainId>:<address>" keys a signed watchlist
+// change adds or removes, as a JSON array, so the signature covers the tokens
+function hashWatchlistTokens(keys) {
+  return crypto.createHash('sha256').update(canonicalJson([...keys].sort())).digest('hex');
+}
+
+function canonicalJson(value) {
+  if (Array.isArray(value)) {
+    return `[${value.map(canonicalJson).join(',')}]`;
+  }
+  if (value !== null && typeof value === 'object') {
+    const entries = Object.keys(value).sort().map(key => `${JSON.stringify(key)}:${canonicalJson(value[key])}`);
+    return `{${entries.join(',')}}`;
+  }
+  return JSON.stringify(value);
+}
+
+// Verify an EIP-191 signature and consume its nonce so it can't be replayed.
+// Resolves to the lowercase signer address, or rejects with an error carrying
+// the HTTP status to respond with.
+async function verifyWalletSignature(db, { action, chainId, contractAddress, dataHash, nonce, expiresAt, signature }) {
+  if (!signature || !nonce || !expiresAt) {
+    throw httpError(401, 'signature, nonce and expiresAt are required');
+  }
+  
+  if (typeof nonce !== 'string' || !/^[A-Za-z0-9_-]{8,128}$/.test(nonce)) {
+    throw httpError(401, 'Invalid nonce');
+  }
+  
+  // expiresAt is a unix timestamp in seconds
+  const expires = Number(expiresAt);
+  const now = Math.floor(Date.now() / 1000);
+  if (!Number.isInteger(expires) || expires <= now) {
+    throw httpError(401, 'Signature has expired');
+  }
+  if (expires - now > SIGNATURE_MAX_TTL_SECONDS) {
+    throw httpError(401, `Signature expiry must be within ${SIGNATURE_MAX_TTL_SECONDS} seconds`);
+  }
+  
+  let signer;
+  try {
+    const message = buildAuthMessage({ action, chainId, contractAddress, dataHash, nonce, expiresAt: expires });
+    signer = verifyMessage(message, signature).toLowerCase();
+  } catch (err) {
+    throw httpError(401, 'Invalid signature');
+  }
+  
+  // Record the nonce; the unique _id rejects a second use of the same signature
+  try {
+    await db.collection('auth_nonces').insertOne({
+      _id: `${signer}:${nonce}`,
+      signer,
+      action,
+      expiresAt: new Date(expires * 1000),
+      usedAt: new Date()
+    });
+  } catch (err) {
+    if (err.code === 11000) {
+      throw httpError(401, 'Signature has already been used');
+    }
+    throw err;
+  }
+  
+  return signer;
+}
+
+// Sockets in a room of the default namespace
+function roomSize(room) {
+  const sockets = io.sockets.adapter.rooms.get(room);
+  return sockets ? sockets.size : 0;
+}
+
+// Readiness checks for /readyz, each { ok, ... }
+async function checkReadiness() {
+  const now = Date.now();
+  const checks = { startup: { ok: serverStarted }, shutdown: { ok: !shuttingDown } };
+  
+  const pingStartedAt = now;
+  try {
+    await Promise.race([
+      client.db('admin').command({ ping: 1 }),
+      new Promise((resolve, reject) => setTimeout(() => reject(new Error('Ping timed out')), READY_PING_TIMEOUT_MS))
+    ]);
+    checks.mongo = { ok: true, latencyMs: Date.now() - pingStartedAt };
+  } catch (err) {
+    checks.mongo = { ok: false, error: err.message };
+  }
+  
+  const stream = tokensChangeStream;
+  const open = Boolean(stream && stream.stream && !stream.restartTimer);
+  const silenceMs = stream && stream.lastBatchAt ? now - stream.lastBatchAt : null;
+  checks.changeStream = {
+    ok: open && silenceMs !== null && silenceMs < CHANGE_STREAM_STALE_MS,
+    open,
+    msSinceLastBatch: silenceMs
+  };
+  
+  // Before the first change, the age counts from when the stream was started
+  const changeAgeMs = stream ? now - (stream.lastChangeAt || stream.startedAt) : null;
+  checks.lastChange = {
+    ok: READY_MAX_CHANGE_AGE_MS <= 0 || (changeAgeMs !== null && changeAgeMs < READY_MAX_CHANGE_AGE_MS),
+    msSinceLastChange: changeAgeMs,
+    maxMs: READY_MAX_CHANGE_AGE_MS
+  };
+  
+  return checks;
+}
+
+// Compare MongoDB and the tokens change stream against the last check and
+// tell clients when they go down or come back
+async function checkHealth() {
+  const { mongo, changeStream } = await checkReadiness();
+  if (shuttingDown) return;
+  
+  const reasons = [];
+  if (!mongo.ok) reasons.push('mongo');
+  if (!changeStream.ok) reasons.push('change_stream');
+  
+  if (reasons.length > 0 && !isDeepStrictEqual(reasons, degradedReasons)) {
+    degradedSince = degradedSince || Date.now();
+    degradedReasons = reasons;
+    logger.warn('Server degraded', { reasons, mongoError: mongo.error });
+    io.emit('degraded', degradedPayload());
+  } else if (reasons.length === 0 && degradedSince) {
+    const degradedForMs = Date.now() - degradedSince;
+    degradedSince = null;
+    degradedReasons = [];
+    logger.info('Server recovered', { degradedForMs });
+    io.emit('recovered', { degradedForMs, timestamp: Date.now() });
+  }
+}
+
+function scheduleHealthCheck() {
+  checkHealth()
+    .catch(err => logger.error('Error checking health', err))
+    .finally(() => {
+      if (!shuttingDown) {
+        setTimeout(scheduleHealthCheck, HEALTH_CHECK_INTERVAL_MS);
+      }
+    });
+}
+
+function degradedPayload() {
+  return { reasons: degradedReasons, since: degradedSince, timestamp: Date.now() };
+}
+
+// Drain and exit: refuse new connections, send the last batched updates,
+// tell clients when to reconnect, then close the change stream and MongoDB.
+// The process exits after SHUTDOWN_TIMEOUT_MS whatever is left.
+async function shutdown(signal) {
+  if (shuttingDown) {
+    logger.warn('Shutdown already in progress, exiting now', { signal });
+    process.exit(1);
+  }
+  shuttingDown = true;
+  logger.info('Shutting down', { signal, timeoutMs: SHUTDOWN_TIMEOUT_MS });
+  
+  setTimeout(() => {
+    logger.error('Shutdown timed out, exiting');
+    process.exit(1);
+  }, SHUTDOWN_TIMEOUT_MS).unref();
+  
+  try {
+    // Stop accepting connections; open requests finish first
+    const serverClosed = new Promise(resolve => server.close(() => resolve()));
+    
+    // No more changes come in, and the queued ones go out before the goodbye
+    if (tokensChangeStream) {
+      await tokensChangeStream.close().catch(err => {
+        logger.error('Error closing change stream', err);
+      });
+    }
+    clearTimeout(batchTimeout);
+    processUpdateQueue();
+    
+    for (const socket of io.sockets.sockets.values()) {
+      socket.emit('server-shutdown', {
+        reason: 'restart',
+        reconnectAfterMs: SHUTDOWN_RECONNECT_MS + Math.floor(Math.random() * SHUTDOWN_RECONNECT_MS)
+      });
+    }
+    io.disconnectSockets(true);
+    
+    await serverClosed;
+    await client.close();
+    
+    logger.info('Shutdown complete');
+    process.exit(0);
+  } catch (err) {
+    logger.error('Error during shutdown', err);
+    process.exit(1);
+  }
+}
+
+function incrementCounter(counter, key) {
+  counter.set(key, (counter.get(key) || 0) + 1);
+}
+
+function createHistogram(buckets) {
+  return { buckets, counts: buckets.map(() => 0), sum: 0, count: 0 };
+}
+
+function observeHistogram(histogram, value) {
+  histogram.buckets.forEach((bound, i) => {
+    if (value <= bound) histogram.counts[i]++;
+  });
+  histogram.sum += value;
+  histogram.count++;
+}
+
+// All metrics in the Prometheus text exposition format
+function renderMetrics() {
+  const lines = [];
+  const labels = (values) => {
+    const escape = value => String(value).replace(/\\/g, '\\\\').replace(/"/g, '\\"').replace(/\n/g, '\\n');
+    const pairs = Object.entries(values).map(([name, value]) => `${name}="${escape(value)}"`);
+    return pairs.length > 0 ? `{${pairs.join(',')}}` : '';
+  };
+  const metric = (name, type, help, samples) => {
+    lines.push(`# HELP ${METRICS_PREFIX}${name} ${help}`, `# TYPE ${METRICS_PREFIX}${name} ${type}`);
+    samples.forEach(([suffix, labelValues, value]) => {
+      lines.push(`${METRICS_PREFIX}${name}${suffix}${labels(labelValues)} ${value}`);
+    });
+  };
+  const histogramSamples = (histogram, labelValues = {}) => [
+    ...histogram.buckets.map((bound, i) => ['_bucket', { ...labelValues, le: bound }, histogram.counts[i]]),
+    ['_bucket', { ...labelValues, le: '+Inf' }, histogram.count],
+    ['_sum', labelValues, histogram.sum],
+    ['_count', labelValues, histogram.count]
+  ];
+  
+  const sockets = [...io.sockets.sockets.values()];
+  const subscriptions = sockets.reduce((total, socket) =>
+    total + (socket.data.subscriptions ? countTokenSubscriptions(socket) : 0), 0);
+  
+  metric('connected_sockets', 'gauge', 'Connected sockets', [['', {}, sockets.length]]);
+  metric('token_subscriptions', 'gauge', 'Token subscriptions summed over sockets, viewport included',
+    [['', {}, subscriptions]]);
+  metric('socket_events_total', 'counter', 'Socket requests received, by event',
+    [...metrics.socketEvents].map(([event, count]) => ['', { event }, count]));
+  metric('socket_errors_total', 'counter', 'Socket requests that failed, by event and error code',
+    [...metrics.socketErrors].map(([key, count]) => {
+      const [event, code] = key.split(' ');
+      return ['', { event, code }, count];
+    }));
+  metric('socket_handler_duration_seconds', 'histogram', 'Socket handler latency, by event',
+    [...metrics.handlerLatency].flatMap(([event, histogram]) => histogramSamples(histogram, { event })));
+  metric('change_events_total', 'counter', 'Token change stream events, by operation type',
+    [...metrics.changeEvents].map(([operation, count]) => ['', { operation }, count]));
+  metric('update_queue_depth', 'gauge', 'Token updates waiting for the next batch', [['', {}, updateQueue.length]]);
+  metric('pending_deltas', 'gauge', 'Token deltas waiting for the next batch', [['', {}, pendingDeltas.size]]);
+  metric('batch_fanout_deliveries', 'histogram', 'Socket deliveries per update batch',
+    histogramSamples(metrics.batchFanout));
+  metric('change_stream_up', 'gauge', 'Whether the tokens change stream is open',
+    [['', {}, tokensChangeStream && tokensChangeStream.stream ? 1 : 0]]);
+  metric('degraded', 'gauge', 'Whether MongoDB or the tokens change stream is unhealthy',
+    [['', {}, degradedSince ? 1 : 0]]);
+  metric('process_resident_memory_bytes', 'gauge', 'Resident memory of the process',
+    [['', {}, process.memoryUsage().rss]]);
+  
+  return `${lines.join('\n')}\n`;
+}
+
+// Add this function to process the update queue
+function processUpdateQueue() {
+  if (updateQueue.length === 0 && pendingDeltas.size === 0) {
+    batchTimeout = null;
+    return;
+  }
+  
+  // Group updates by token, keeping the latest one
+  const updatesByToken = new Map();
+  updateQueue.forEach(token => {
+    if (typeof token.contractAddress === 'string') {
+      updatesByToken.set(tokenKey(tokenChainId(token), token.contractAddress.toLowerCase()), token);
+    }
+  });
+  
+  // Clear the queue
+  updateQueue = [];
+  batchTimeout = null;
+  
+  // Emit each update once to the room of sockets subscribed to that token
+  let deliveries = 0;
+  updatesByToken.forEach((token, key) => {
+    deliveries += roomSize(tokenRoom(key));
+    io.to(tokenRoom(key)).emit('token-updates', [token]);
+  });
+  
+  // Emit one merged delta per token with the next sequence number
+  const deltas = new Map(pendingDeltas);
+  pendingDeltas.clear();
+  
+  deltas.forEach((pending, key) => {
+    const seq = (tokenSequences.get(key) || 0) + 1;
+    tokenSequences.set(key, seq);
+    
+    const delta = {
+      chainId: pending.chainId,
+      contractAddress: pending.contractAddress,
+      seq,
+      streamSeq: ++lastStreamSeq,
+      full: pending.full,
+      changes: pending.changes,
+      removed: [...pending.removed]
+    };
+    
+    recentDeltas.push(delta);
+    if (recentDeltas.length > UPDATE_LOG_SIZE) {
+      recentDeltas.shift();
+    }
+    
+    deliveries += roomSize(tokenRoom(key));
+    io.to(tokenRoom(key)).emit('token-deltas', [delta]);
+  });
+  
+  observeHistogram(metrics.batchFanout, deliveries);
+}
+
+// Watch a collection and keep watching: the latest resume token is persisted
+// in stream_state, and the stream is restarted from it with exponential
+// backoff whenever it errors or closes
+function watchWithResume(db, streamName, collection, options, onChange) {
+  const stateCollection = db.collection('stream_state');
+  const state = {
+    stream: null,
+    resumeToken: undefined,
+    retryDelay: CHANGE_STREAM_MIN_RETRY_MS,
+    restartTimer: null,
+    stopped: false,
+    lastSavedAt: 0,
+    startedAt: Date.now(),
+    lastBatchAt: 0, // for liveness, including empty batches
+    lastChangeAt: 0
+  };
+  
+  const saveResumeToken = (resumeToken) => {
+    state.resumeToken = resumeToken;
+    
+    const now = Date.now();
+    if (now - state.lastSavedAt < RESUME_TOKEN_SAVE_INTERVAL_MS) return;
+    state.lastSavedAt = now;
+    
+    stateCollection.updateOne(
+      { _id: streamName },
+      { $set: { resumeToken, updatedAt: new Date() } },
+      { upsert: true }
+    ).catch(err => {
+      logger.error('Error saving resume token', { stream: streamName, err });
+    });
+  };
+  
+  const restart = () => {
+    if (state.restartTimer || state.stopped) return;
+    
+    if (state.stream) {
+      const stream = state.stream;
+      state.stream = null;
+      stream.removeAllListeners();
+      stream.on('error', () => {});
+      stream.close().catch(() => {});
+    }
+    
+    const delay = state.retryDelay;
+    state.retryDelay = Math.min(delay * 2, CHANGE_STREAM_MAX_RETRY_MS);
+    logger.warn('Restarting change stream', { stream: streamName, retryInMs: delay });
+    state.restartTimer = setTimeout(start, delay);
+  };
+  
+  const start = async () => {
+    state.restartTimer = null;
+    if (state.stopped) return;
+    
+    try {
+      if (state.resumeToken === undefined) {
+        const saved = await stateCollection.findOne({ _id: streamName });
+        state.resumeToken = saved ? saved.resumeToken : null;
+      }
+      if (state.stopped) return;
+      
+      const stream = collection.watch([], {
+        ...options,
+        ...(state.resumeToken ? { startAfter: state.resumeToken } : {})
+      });
+      state.stream = stream;
+      
+      // Fires for every batch, including empty ones on an idle collection
+      stream.on('resumeTokenChanged', (resumeToken) => {
+        state.lastBatchAt = Date.now();
+        state.retryDelay = CHANGE_STREAM_MIN_RETRY_MS;
+        saveResumeToken(resumeToken);
+      });
+      
+      stream.on('change', (change) => {
+        state.resumeToken = change._id;
+        state.lastChangeAt = Date.now();
+        try {
+          onChange(change);
+        } catch (err) {
+          logger.error('Error handling change', { stream: streamName, err });
+        }
+      });
+      
+      stream.on('error', (err) => {
+        logger.error('Error in change stream', { stream: streamName, err });
+        
+        // The saved token fell off the oplog; start again from now
+        if (err.code === 286 || err.codeName === 'ChangeStreamHistoryLost') {
+          state.resumeToken = null;
+          stateCollection.deleteOne({ _id: streamName }).catch(() => {});
+        }
+        restart();
+      });
+      
+      stream.on('close', () => {
+        logger.warn('Change stream closed', { stream: streamName });
+        restart();
+      });
+      
+      logger.info('Watching change stream', { stream: streamName, resumed: Boolean(state.resumeToken) });
+    } catch (err) {
+      logger.error('Failed to start change stream', { stream: streamName, err });
+      restart();
+    }
+  };
+  
+  // Stop watching for good, saving the latest resume token so the next
+  // process picks up where this one left off
+  state.close = async () => {
+    state.stopped = true;
+    clearTimeout(state.restartTimer);
+    state.restartTimer = null;
+    
+    const stream = state.stream;
+    state.stream = null;
+    if (stream) {
+      stream.removeAllListeners();
+      stream.on('error', () => {});
+      await stream.close().catch(() => {});
+    }
+    
+    if (state.resumeToken) {
+      await stateCollection.updateOne(
+        { _id: streamName },
+        { $set: { resumeToken: state.resumeToken, updatedAt: new Date() } },
+        { upsert: true }
+      );
+    }
+  };
+  
+  start();
+  return state;
+}
+
+// Merge a change event into the pending delta for its token. Updates carry
+// only the changed fields; inserts and replacements carry the whole document.
+function queueTokenDelta(change, token) {
+  const chainId = tokenChainId(token);
+  const contractAddress = token.contractAddress.toLowerCase();
+  const key = tokenKey(chainId, contractAddress);
+  const pending = pendingDeltas.get(key) ||
+    { chainId, contractAddress, full: false, changes: {}, removed: new Set() };
+  
+  if (pending.full) {
+    // Clients replace their copy with a full delta, so merging dotted update
+    // paths into it would corrupt it; send the newer document instead
+    pending.changes = formatToken(token);
+  } else if (change.operationType === 'update' && change.updateDescription) {
+    const { updatedFields = {}, removedFields = [] } = change.updateDescription;
+    
+    const dropNested = (field) => {
+      Object.keys(pending.changes)
+        .filter(key => key.startsWith(`${field}.`))
+        .forEach(key => delete pending.changes[key]);
+    };
+    
+    Object.entries(updatedFields).forEach(([field, value]) => {
+      dropNested(field);
+      pending.changes[field] = value;
+      pending.removed.delete(field);
+    });
+    
+    removedFields.forEach(field => {
+      dropNested(field);
+      delete pending.changes[field];
+      pending.removed.add(field);
+    });
+  } else {
+    pending.full = true;
+    pending.changes = formatToken(token);
+    pending.removed.clear();
+  }
+  
+  pendingDeltas.set(key, pending);
+}
+
+// Tell the subscribers of a deleted token that it is gone, and drop its
+// queued updates so none arrive after the removal. Delete events carry only
+// the _id, so tokens that haven't changed since startup can't be named.
+function publishTokenRemoval(tokenId) {
+  const key = tokenKeysById.get(String(tokenId));
+  if (!key) return;
+  
+  tokenKeysById.delete(String(tokenId));
+  pendingDeltas.delete(key);
+  updateQueue = updateQueue.filter(token => tokenKey(tokenChainId(token), token.contractAddress) !== key);
+  io.to(tokenRoom(key)).emit('token-removed', parseTokenKey(key));
+}
+
+function tokenRoom(key) {
+  return `token:${key}`;
+}
+
+function chainRoom(chainId) {
+  return `chain:${chainId}`;
+}
+
+// Canonicalize and dedupe a client-supplied list of contract addresses,
+// dropping anything that isn't an address
+function normalizeAddressList(tokenAddresses) {
+  if (!Array.isArray(tokenAddresses)) return [];
+  
+  return [...new Set(tokenAddresses.map(normalizeAddress).filter(Boolean))];
+}
+
+// Tokens are identified across chains by "<chainId>:<contractAddress>"
+function tokenKey(chainId, contractAddress) {
+  return `${chainId}:${contractAddress}`;
+}
+
+// Keys without a chain are bare addresses stored before multi-chain support
+function parseTokenKey(key) {
+  const separator = key.indexOf(':');
+  return separator === -1
+    ? { chainId: DEFAULT_CHAIN_ID, contractAddress: key }
+    : { chainId: Number(key.slice(0, separator)), contractAddress: key.slice(separator + 1) };
+}
+
+function formatTokenKeys(keys) {
+  return keys.map(parseTokenKey);
+}
+
+// Turn a client-supplied list of addresses on chainId, or of
+// { chainId, contractAddress } objects, into deduped token keys, dropping
+// invalid addresses and unsupported chains
+function normalizeTokenList(entries, chainId) {
+  if (!Array.isArray(entries)) return [];
+  
+  const keys = entries.map(entry => {
+    const isObject = entry !== null && typeof entry === 'object';
+    const address = normalizeAddress(isObject ? entry.contractAddress : entry);
+    const entryChainId = isObject ? parseTokenChainId(entry.chainId, chainId) : chainId;
+    return address && entryChainId !== null ? tokenKey(entryChainId, address) : null;
+  });
+  
+  return [...new Set(keys.filter(Boolean))];
+}
+
+// Filter matching the tokens behind a list of token keys
+function tokenKeysFilter(keys) {
+  const addressesByChain = new Map();
+  keys.map(parseTokenKey).forEach(({ chainId, contractAddress }) => {
+    if (!addressesByChain.has(chainId)) addressesByChain.set(chainId, []);
+    addressesByChain.get(chainId).push(contractAddress);
+  });
+  
+  return {
+    $or: [...addressesByChain].map(([chainId, addresses]) => ({
+      $and: [chainFilter(chainId), { contractAddress: addressCondition(addresses) }]
+    }))
+  };
+}
+
+// Read and validate the configuration. Throws an error listing every problem
+// in err.errors.
+function loadConfig() {
+  const raw = { ...CONFIG_DEFAULTS };
+  const errors = [];
+  
+  if (process.env.CONFIG_FILE) {
+    try {
+      const file = JSON.parse(fs.readFileSync(process.env.CONFIG_FILE, 'utf8'));
+      for (const [key, value] of Object.entries(file)) {
+        if (key in CONFIG_ENV) {
+          raw[key] = value;
+        } else {
+          errors.push(`Unknown setting ${key} in ${process.env.CONFIG_FILE}`);
+        }
+      }
+    } catch (err) {
+      errors.push(`Can't read CONFIG_FILE ${process.env.CONFIG_FILE}: ${err.message}`);
+    }
+  }
+  for (const [key, name] of Object.entries(CONFIG_ENV)) {
+    if (process.env[name] !== undefined && process.env[name] !== '') {
+      raw[key] = process.env[name];
+    }
+  }
+  
+  const integer = (key, min, max = Number.MAX_SAFE_INTEGER) => {
+    const value = Number(raw[key]);
+    if (!Number.isInteger(value) || value < min || value > max) {
+      const range = max === Number.MAX_SAFE_INTEGER ? `of at least ${min}` : `from ${min} to ${max}`;
+      errors.push(`${key} (${CONFIG_ENV[key]}) must be an integer ${range}`);
+    }
+    return value;
+  };
+  // Lists are arrays in the file and comma-separated in the environment
+  const list = key => (Array.isArray(raw[key]) ? raw[key] : String(raw[key]).split(','))
+    .map(item => (typeof item === 'string' ? item.trim() : item))
+    .filter(item => item !== '');
+  
+  const result = {
+    port: integer('port', 0, 65535),
+    mongoUri: raw.mongoUri,
+    mongoDbName: raw.mongoDbName,
+    corsOrigins: list('corsOrigins'),
+    chains: null,
+    defaultChainId: null,
+    excludedTokens: new Set(),
+    defaultPageSize: integer('defaultPageSize', 1),
+    maxPageSize: integer('maxPageSize', 1),
+    batchWindowMs: integer('batchWindowMs', 0, 60 * 1000),
+    keepAliveIntervalMs: integer('keepAliveIntervalMs', 1000),
+    logLevel: raw.logLevel,
+    logSampleRates: null,
+    maxPayloadBytes: integer('maxPayloadBytes', 1024),
+    trustProxyHops: raw.trustProxyHops === null ? null : integer('trustProxyHops', 0, 10),
+    maxConnectionsPerIp: integer('maxConnectionsPerIp', 1),
+    rateLimits: null,
+    maxSubscriptionsPerSocket: integer('maxSubscriptionsPerSocket', 1),
+    maxWatchlistSize: integer('maxWatchlistSize', 1),
+    maxBatchLookup: integer('maxBatchLookup', 1),
+    updateLogSize: integer('updateLogSize', 1),
+    searchSuggestDebounceMs: integer('searchSuggestDebounceMs', 0, 10 * 1000),
+    globalStatsIntervalMs: integer('globalStatsIntervalMs', 1000),
+    globalStatsRetentionDays: integer('globalStatsRetentionDays', 1),
+    leaderboardSize: integer('leaderboardSize', 1, 1000),
+    leaderboardIntervalMs: integer('leaderboardIntervalMs', 1000),
+    leaderboardMinVolumeUsd: Number(raw.leaderboardMinVolumeUsd),
+    priceHistoryRetentionDays: integer('priceHistoryRetentionDays', 1),
+    maxAlertsPerWallet: integer('maxAlertsPerWallet', 1),
+    webhookMaxAttempts: integer('webhookMaxAttempts', 1),
+    webhookDeliveryRetentionDays: integer('webhookDeliveryRetentionDays', 1),
+    imageHosts: list('imageHosts').map(host => String(host).toLowerCase()),
+    adminAddresses: new Set(),
+    adminApiKey: raw.adminApiKey,
+    signatureMaxTtlSeconds: integer('signatureMaxTtlSeconds', 1),
+    readyMaxChangeAgeMs: integer('readyMaxChangeAgeMs', 0),
+    healthCheckIntervalMs: integer('healthCheckIntervalMs', 100),
+    shutdownTimeoutMs: integer('shutdownTimeoutMs', 1),
+    shutdownReconnectMs: integer('shutdownReconnectMs', 0)
+  };
+  
+  if (typeof result.mongoUri !== 'string' || !/^mongodb(\+srv)?:\/\//.test(result.mongoUri)) {
+    errors.push('mongoUri (MONGODB_URI) must be a mongodb:// or mongodb+srv:// connection string');
+  }
+  if (typeof result.mongoDbName !== 'string' || !/^[^\/\\. "$]{1,63}$/.test(result.mongoDbName)) {
+    errors.push('mongoDbName (MONGODB_DB) must be a valid database name');
+  }
+  result.corsOrigins.forEach(origin => {
+    let valid = false;
+    try {
+      valid = new URL(origin).origin === origin;
+    } catch (err) {
+      valid = false;
+    }
+    if (!valid) errors.push(`corsOrigins (CORS_ORIGINS) entry ${JSON.stringify(origin)} must be an origin like https://example.com`);
+  });
+  if (result.maxPageSize < result.defaultPageSize) {
+    errors.push('defaultPageSize (DEFAULT_PAGE_SIZE) must not exceed maxPageSize (MAX_PAGE_SIZE)');
+  }
+  if (!Object.keys(LOG_LEVELS).includes(result.logLevel)) {
+    errors.push(`logLevel (LOG_LEVEL) must be one of ${Object.keys(LOG_LEVELS).join(', ')}`);
+  }
+  if (!Number.isFinite(result.leaderboardMinVolumeUsd) || result.leaderboardMinVolumeUsd < 0) {
+    errors.push('leaderboardMinVolumeUsd (LEADERBOARD_MIN_VOLUME_USD) must be a non-negative number');
+  }
+  if (typeof result.adminApiKey !== 'string') {
+    errors.push('adminApiKey (ADMIN_API_KEY) must be a string');
+  }
+  result.imageHosts.forEach(host => {
+    if (!/^[a-z0-9-]+(\.[a-z0-9-]+)+$/.test(host)) {
+      errors.push(`imageHosts (IMAGE_HOSTS) entry ${JSON.stringify(host)} must be a hostname`);
+    }
+  });
+  list('adminAddresses').forEach(entry => {
+    const address = normalizeAddress(entry);
+    if (address) {
+      result.adminAddresses.add(address);
+    } else {
+      errors.push(`adminAddresses (ADMIN_ADDRESSES) entry ${JSON.stringify(entry)} must be a wallet address`);
+    }
+  });
+  
+  // Sample rates are JSON in the environment, e.g. {"changes":0.01}, and
+  // replace the defaults of the streams they name
+  try {
+    const rates = typeof raw.logSampleRates === 'string' ? JSON.parse(raw.logSampleRates) : raw.logSampleRates;
+    if (rates === null || typeof rates !== 'object' || Array.isArray(rates)) {
+      throw new Error('expected a JSON object');
+    }
+    Object.entries(rates).forEach(([name, rate]) => {
+      if (typeof rate !== 'number' || rate < 0 || rate > 1) {
+        throw new Error(`rate of ${name} must be a number from 0 to 1`);
+      }
+    });
+    result.logSampleRates = { ...CONFIG_DEFAULTS.logSampleRates, ...rates };
+  } catch (err) {
+    errors.push(`logSampleRates (LOG_SAMPLE_RATES): ${err.message}`);
+  }
+  
+  try {
+    result.rateLimits = parseRateLimitsConfig(raw.rateLimits);
+  } catch (err) {
+    errors.push(`rateLimits (RATE_LIMITS): ${err.message}`);
+  }
+  
+  try {
+    result.chains = parseChainsConfig(raw.chains);
+  } catch (err) {
+    errors.push(`chains (CHAINS): ${err.message}`);
+  }
+  if (result.chains) {
+    const chainIds = result.chains.map(chain => chain.chainId);
+    result.defaultChainId = raw.defaultChainId === undefined ? chainIds[0] : Number(raw.defaultChainId);
+    if (!chainIds.includes(result.defaultChainId)) {
+      errors.push(`defaultChainId (DEFAULT_CHAIN_ID) ${raw.defaultChainId} is not one of the configured chains`);
+    }
+    
+    // Entries are "<chainId>:<address>", a bare address on the default chain,
+    // or { chainId, contractAddress } in the file
+    list('excludedTokens').forEach(entry => {
+      const isObject = entry !== null && typeof entry === 'object';
+      const [chainPart, addressPart] = !isObject && String(entry).includes(':')
+        ? String(entry).split(':')
+        : [isObject ? entry.chainId : result.defaultChainId, isObject ? entry.contractAddress : entry];
+      const chainId = Number(chainPart);
+      const address = normalizeAddress(addressPart);
+      
+      if (!address || !chainIds.includes(chainId)) {
+        errors.push(`excludedTokens (EXCLUDED_TOKENS) entry ${JSON.stringify(entry)} must name a configured chain and a contract address`);
+      } else {
+        result.excludedTokens.add(tokenKey(chainId, address));
+      }
+    });
+  }
+  
+  if (errors.length > 0) {
+    const err = new Error(`Invalid configuration: ${errors.join('; ')}`);
+    err.errors = errors;
+    throw err;
+  }
+  return result;
+}
+
+function loadConfigOrExit() {
+  try {
+    return loadConfig();
+  } catch (err) {
+    logger.error('Invalid configuration', { errors: err.errors || [err.message] });
+    process.exit(1);
+  }
+}
+
+// Re-read the configuration and apply the reloadable settings. Invalid
+// configuration keeps the current settings.
+function reloadConfig() {
+  let next;
+  try {
+    next = loadConfig();
+  } catch (err) {
+    logger.error('Invalid configuration, keeping the current one', { errors: err.errors || [err.message] });
+    return;
+  }
+  
+  const changed = Object.keys(next).filter(key => !isDeepStrictEqual(next[key], config[key]));
+  const applied = changed.filter(key => RELOADABLE_SETTINGS.includes(key));
+  const needRestart = changed.filter(key => !RELOADABLE_SETTINGS.includes(key));
+  
+  applied.forEach(key => {
+    config[key] = next[key];
+  });
+  if (needRestart.length > 0) {
+    logger.warn('Changed settings need a restart to apply', { settings: needRestart });
+  }
+  logger.info('Configuration reloaded', { applied });
+  
+  // Exclusions change what is listed; recompute the cached rankings and stats
+  if (applied.includes('excludedTokens') && serverStarted) {
+    const db = client.db(config.mongoDbName);
+    refreshGlobalStats(db).catch(err => logger.error('Error refreshing global stats after reload', err));
+    refreshLeaderboards(db).catch(err => logger.error('Error refreshing leaderboards after reload', err));
+    chainScopes().forEach(chainId => {
+      Object.keys(TOP_TOKEN_RANKINGS).forEach(ranking => loadTopTokens(db, chainId, ranking));
+    });
+  }
+}
+
+// Validate the CHAINS setting, defaulting to Base alone
+function parseChainsConfig(value) {
+  if (!value) {
+    return [{
+      chainId: 8453,
+      name: 'Base',
+      wrappedNative: '0x4200000000000000000000000000000000000006',
+      wrappedNativeSymbol: 'WETH'
+    }];
+  }
+  
+  const chains = typeof value === 'string' ? JSON.parse(value) : value;
+  if (!Array.isArray(chains) || chains.length === 0) {
+    throw new Error('CHAINS must be a non-empty JSON array');
+  }
+  
+  return chains.map(chain => {
+    const chainId = Number(chain && chain.chainId);
+    const wrappedNative = normalizeAddress(chain && chain.wrappedNative);
+    if (!Number.isSafeInteger(chainId) || chainId <= 0 || !wrappedNative) {
+      throw new Error(`Invalid CHAINS entry: ${JSON.stringify(chain)}`);
+    }
+    
+    return {
+      chainId,
+      name: typeof chain.name === 'string' ? chain.name : String(chainId),
+      wrappedNative,
+      wrappedNativeSymbol: typeof chain.wrappedNativeSymbol === 'string' ? chain.wrappedNativeSymbol : null
+    };
+  });
+}
+
+// A client-supplied chain: a configured chainId, "all", or defaultChainId
+// when none is given. Returns null for anything else.
+function parseChainId(value, defaultChainId = DEFAULT_CHAIN_ID) {
+  if (value === undefined || value === null || value === '') return defaultChainId;
+  if (value === ALL_CHAINS) return ALL_CHAINS;
+  
+  const chainId = Number(value);
+  return chainsById.has(chainId) ? chainId : null;
+}
+
+// The chain of a request about particular tokens, which needs a single chain.
+// A default of "all" falls back to the default chain.
+function parseTokenChainId(value, defaultChainId = DEFAULT_CHAIN_ID) {
+  const chainId = parseChainId(value, defaultChainId === ALL_CHAINS ? DEFAULT_CHAIN_ID : defaultChainId);
+  return chainId === ALL_CHAINS ? null : chainId;
+}
+
+// Chain for token references from a socket that don't name one
+function socketTokenChain(socket) {
+  return parseTokenChainId(undefined, socket.data.chainId);
+}
+
+// Every chain plus "all", the scopes stats, leaderboards and top tokens are kept for
+function chainScopes() {
+  return [...CHAINS.map(chain => chain.chainId), ALL_CHAINS];
+}
+
+function tokenChainId(token) {
+  return token.chainId || DEFAULT_CHAIN_ID;
+}
+
+// Match the documents of a chain, or of every configured chain for "all".
+// Documents without a chainId belong to the default chain.
+function chainFilter(chainId) {
+  if (chainId === ALL_CHAINS) {
+    return { chainId: { $in: [...CHAINS.map(chain => chain.chainId), null] } };
+  }
+  return chainId === DEFAULT_CHAIN_ID ? { chainId: { $in: [chainId, null] } } : { chainId };
+}
+
+// Look up one token on a chain by its canonical address
+function findToken(tokensCollection, chainId, contractAddress, options) {
+  return tokensCollection.findOne(
+    { $and: [chainFilter(chainId), { contractAddress: addressCondition(contractAddress) }] },
+    options
+  );
+}
+
+function getSubscribedTokens(socket) {
+  return new Set([
+    ...socket.data.subscriptions,
+    ...socket.data.viewportTokens,
+    ...socket.data.watchlistTokens
+  ]);
+}
+
+// The watchlist has its own limit and doesn't count against the subscription cap
+function countTokenSubscriptions(socket) {
+  return new Set([...socket.data.subscriptions, ...socket.data.viewportTokens]).size;
+}
+
+// The canonical form of an address is 0x plus 40 lowercase hex digits; this
+// is how contract addresses are stored. Returns null for anything else.
+function normalizeAddress(value) {
+  if (typeof value !== 'string') return null;
+  
+  const address = value.trim();
+  return /^0x[0-9a-fA-F]{40}$/.test(address) ? address.toLowerCase() : null;
+}
+
+// EIP-55 mixed-case checksum form, for responses that ask for it
+function toChecksumAddress(address) {
+  return getAddress(address);
+}
+
+// Ensure the fields every token payload relies on exist, optionally with a
+// checksummed contract address
+function formatToken(token, { checksum = false } = {}) {
+  const formatted = {
+    ...token,
+    ...(typeof token.contractAddress === 'string' ? { contractAddress: token.contractAddress.toLowerCase() } : {}),
+    chainId: tokenChainId(token),
+    ...moderationStatus(token),
+    price_usd: token.price_usd || 0,
+    market_cap_usd: token.market_cap_usd || 0,
+    volume_usd_24h: token.volume_usd_24h || 0,
+    blockNumber: token.blockNumber || 0
+  };
+  
+  if (checksum && normalizeAddress(formatted.contractAddress)) {
+    formatted.contractAddress = toChecksumAddress(formatted.contractAddress);
+  }
+  
+  return formatted;
+}
+
+// Only the metadata fields of a token or edit, with null for missing ones
+function pickMetadata(source) {
+  return Object.fromEntries(TOKEN_METADATA_FIELDS.map(field => [
+    field,
+    source[field] === undefined ? null : source[field]
+  ]));
+}
+
+// Write a metadata edit and append it to the history with the values it
+// replaced. Only the metadata fields in changes are written; the history keeps
+// the full metadata before and after. The token's metadataVersion is bumped in
+// the same write, so concurrent edits get distinct versions. Resolves to null
+// when the token doesn't exist and upsert is off.
+async function updateTokenMetadata(db, { chainId, contractAddress, changes, updatedBy, txHash = null, revertedTo, upsert = false }) {
+  const now = new Date();
+  const metadata = Object.fromEntries(
+    TOKEN_METADATA_FIELDS.filter(field => changes[field] !== undefined).map(field => [field, changes[field]])
+  );
+  
+  // The token and its history entry are written in one transaction, so a
+  // failed history insert can't leave a version without an entry
+  let before;
+  let entry;
+  const session = client.startSession();
+  try {
+    await session.withTransaction(async () => {
+      before = await db.collection('tokens').findOneAndUpdate(
+        { $and: [chainFilter(chainId), { contractAddress: addressCondition(contractAddress) }] },
+        {
+          $setOnInsert: { chainId, contractAddress },
+          // An update without a txHash keeps the stored one
+          $set: { ...metadata, updatedAt: now, ...(txHash ? { txHash } : {}) },
+          $inc: { metadataVersion: 1 }
+        },
+        { upsert, returnDocument: 'before', session }
+      );
+      if (!before && !upsert) return;
+      
+      const previous = pickMetadata(before || {});
+      entry = {
+        chainId,
+        contractAddress,
+        version: ((before && before.metadataVersion) || 0) + 1,
+        action: revertedTo === undefined ? 'update' : 'revert',
+        ...(revertedTo === undefined ? {} : { revertedTo }),
+        previous,
+        values: { ...previous, ...metadata },
+        updatedBy,
+        txHash,
+        createdAt: now
+      };
+      await db.collection('token_metadata_history').insertOne(entry, { session });
+    });
+  } finally {
+    await session.endSession();
+  }
+  if (!entry) return null;
+  
+  enqueueWebhookEvent(db, 'token.metadata_updated', {
+    chainId,
+    contractAddress,
+    version: entry.version,
+    changes: metadata,
+    ...(revertedTo === undefined ? {} : { revertedTo }),
+    txHash,
+    updatedBy,
+    updatedAt: now
+  }).catch(err => {
+    logger.error('Error queueing token.metadata_updated webhooks', err);
+  });
+  
+  return { entry, created: !before };
+}
+
+// Moderation badges, with defaults for tokens that were never moderated
+function moderationStatus(token) {
+  return {
+    hidden: token.hidden === true,
+    flagged: token.flagged === true,
+    flagReason: token.flagged === true ? token.flagReason || null : null,
+    verified: token.verified === true
+  };
+}
+
+// Validate a moderation request into the fields to $set. Clearing a flag
+// also clears its reason.
+function parseModerationUpdate(body) {
+  const update = {};
+  
+  for (const field of ['hidden', 'flagged', 'verified']) {
+    if (body[field] === undefined) continue;
+    if (typeof body[field] !== 'boolean') {
+      return { error: `${field} must be a boolean` };
+    }
+    update[field] = body[field];
+  }
+  
+  if (update.flagged === true) {
+    const reason = typeof body.flagReason === 'string' ? body.flagReason.trim() : '';
+    if (!reason || reason.length > MAX_FLAG_REASON_LENGTH) {
+      return { error: `Flagging requires a flagReason of at most ${MAX_FLAG_REASON_LENGTH} characters` };
+    }
+    update.flagReason = reason;
+  } else if (update.flagged === false) {
+    update.flagReason = null;
+  } else if (body.flagReason !== undefined) {
+    return { error: 'flagReason can only be set together with flagged: true' };
+  }
+  
+  if (Object.keys(update).length === 0) {
+    return { error: 'Nothing to update, expected hidden, flagged or verified' };
+  }
+  
+  return { update };
+}
+
+// Validate and normalize submitted token metadata. Omitted fields are left
+// out of changes; null or "" clears an optional field. Returns { changes } or
+// { errors } keyed by field.
+function parseTokenMetadata(body) {
+  const changes = {};
+  const errors = {};
+  const present = field => body[field] !== undefined;
+  const cleared = field => body[field] === null || body[field] === '';
+  
+  for (const field of ['name', 'symbol']) {
+    if (!present(field)) continue;
+    const value = typeof body[field] === 'string' ? body[field].trim() : '';
+    if (!value) {
+      errors[field] = 'must be a non-empty string';
+    } else if (value.length > METADATA_MAX_LENGTHS[field]) {
+      errors[field] = `must be at most ${METADATA_MAX_LENGTHS[field]} characters`;
+    } else {
+      changes[field] = value;
+    }
+  }
+  
+  if (present('description')) {
+    if (cleared('description')) {
+      changes.description = null;
+    } else if (typeof body.description !== 'string') {
+      errors.description = 'must be a string';
+    } else if (body.description.trim().length > METADATA_MAX_LENGTHS.description) {
+      errors.description = `must be at most ${METADATA_MAX_LENGTHS.description} characters`;
+    } else {
+      changes.description = body.description.trim() || null;
+    }
+  }
+  
+  const links = {
+    website: [normalizeWebsite, 'must be an http(s) URL'],
+    twitter: [normalizeTwitter, 'must be an X/Twitter handle or profile URL'],
+    telegram: [normalizeTelegram, 'must be a Telegram username or t.me link']
+  };
+  for (const [field, [normalize, message]] of Object.entries(links)) {
+    if (!present(field)) continue;
+    if (cleared(field)) {
+      changes[field] = null;
+      continue;
+    }
+    const value = normalize(body[field]);
+    if (!value) {
+      errors[field] = message;
+    } else if (value.length > METADATA_MAX_LENGTHS.url) {
+      errors[field] = `must be at most ${METADATA_MAX_LENGTHS.url} characters`;
+    } else {
+      changes[field] = value;
+    }
+  }
+  
+  if (present('image')) {
+    if (body.image === null) {
+      changes.image = null;
+    } else {
+      const image = normalizeImage(body.image);
+      if (image) {
+        changes.image = image;
+      } else {
+        errors.image = `must be an object with an https url on ${IMAGE_HOSTS.join(', ')}`;
+      }
+    }
+  }
+  
+  if (Object.keys(errors).length > 0) return { errors };
+  if (Object.keys(changes).length === 0) {
+    return { errors: { body: `expected at least one of ${TOKEN_METADATA_FIELDS.join(', ')}` } };
+  }
+  return { changes };
+}
+
+// Parse a URL, assuming https when the scheme is left out
+function parseLinkUrl(value) {
+  if (typeof value !== 'string') return null;
+  
+  const text = value.trim();
+  if (!text || /\s/.test(text)) return null;
+  
+  try {
+    return new URL(/^[a-z][a-z0-9+.-]*:\/\//i.test(text) ? text : `https://${text}`);
+  } catch (err) {
+    return null;
+  }
+}
+
+function normalizeWebsite(value) {
+  const url = parseLinkUrl(value);
+  if (!url || !['http:', 'https:'].includes(url.protocol) || !url.hostname.includes('.')) {
+    return null;
+  }
+  return url.href;
+}
+
+// "@handle", "handle" and x.com/twitter.com profile links become https://x.com/handle
+function normalizeTwitter(value) {
+  if (typeof value !== 'string') return null;
+  
+  let handle = value.trim().replace(/^@/, '');
+  if (!/^[A-Za-z0-9_]+$/.test(handle)) {
+    const url = parseLinkUrl(value);
+    const host = url && url.hostname.toLowerCase().replace(/^(www|mobile)\./, '');
+    if (!url || !['x.com', 'twitter.com'].includes(host)) return null;
+    handle = url.pathname.split('/')[1] || '';
+  }
+  
+  return /^[A-Za-z0-9_]{1,15}$/.test(handle) ? `https://x.com/${handle}` : null;
+}
+
+// "@name", "name", t.me/name and invite links (t.me/+code, t.me/joinchat/code)
+// become https://t.me/...
+function normalizeTelegram(value) {
+  if (typeof value !== 'string') return null;
+  
+  let path = value.trim().replace(/^@/, '');
+  if (!/^[A-Za-z0-9_]+$/.test(path)) {
+    const url = parseLinkUrl(value);
+    const host = url && url.hostname.toLowerCase().replace(/^www\./, '');
+    if (!url || !['t.me', 'telegram.me'].includes(host)) return null;
+    path = url.pathname.replace(/^\/+|\/+$/g, '');
+  }
+  
+  const valid = /^[A-Za-z0-9_]{5,32}$/.test(path) ||
+    /^\+[A-Za-z0-9_-]+$/.test(path) ||
+    /^joinchat\/[A-Za-z0-9_-]+$/.test(path);
+  return valid ? `https://t.me/${path}` : null;
+}
+
+// Keep the url and the known upload fields of a submitted image
+function normalizeImage(image) {
+  if (!image || typeof image !== 'object' || Array.isArray(image)) return null;
+  if (typeof image.url !== 'string' || image.url.length > METADATA_MAX_LENGTHS.url) return null;
+  
+  let url;
+  try {
+    url = new URL(image.url.trim());
+  } catch (err) {
+    return null;
+  }
+  const host = url.hostname.toLowerCase();
+  if (url.protocol !== 'https:' || !IMAGE_HOSTS.some(allowed => host === allowed || host.endsWith(`.${allowed}`))) {
+    return null;
+  }
+  
+  const normalized = { url: url.href };
+  for (const field of IMAGE_FIELDS) {
+    const value = image[field];
+    if (typeof value === 'string' || typeof value === 'number') {
+      normalized[field] = value;
+    }
+  }
+  return normalized;
+}
+
+// Fetch many tokens of one chain with one indexed query
+async function lookupTokens(tokensCollection, requestedAddresses, { chainId, checksum = false }) {
+  const invalid = requestedAddresses.filter(address => !normalizeAddress(address));
+  const addresses = normalizeAddressList(requestedAddresses);
+  
+  const tokens = await tokensCollection.find({
+    $and: [chainFilter(chainId), { contractAddress: addressCondition(addresses) }]
+  }).toArray();
+  const found = new Set(tokens.map(token => token.contractAddress.toLowerCase()));
+  
+  return {
+    chainId,
+    tokens: tokens.map(token => formatToken(token, { checksum })),
+    notFound: addresses.filter(address => !found.has(address)),
+    invalid
+  };
+}
+
+// A token with its contract address lowercased, for in-memory use
+function withLowercaseAddress(token) {
+  const contractAddress = token.contractAddress.toLowerCase();
+  return contractAddress === token.contractAddress ? token : { ...token, contractAddress };
+}
+
+// Query condition matching lowercase addresses in either stored form:
+// lowercase, or EIP-55 checksummed as the indexer may write new tokens until
+// the next startup migration lowercases them
+function addressCondition(addresses) {
+  const list = Array.isArray(addresses) ? addresses : [addresses];
+  return { $in: [...new Set(list.flatMap(address => [address, toChecksumAddress(address)]))] };
+}
+
+// One-off migration: lowercase contract addresses stored in mixed case
+async function normalizeStoredAddresses(tokensCollection) {
+  const mixedCase = await tokensCollection
+    .find({ contractAddress: /[A-F]/ }, { projection: { contractAddress: 1 } })
+    .toArray();
+  if (mixedCase.length === 0) return;
+  
+  await tokensCollection.bulkWrite(mixedCase.map(token => ({
+    updateOne: {
+      filter: { _id: token._id },
+      update: { $set: { contractAddress: token.contractAddress.toLowerCase() } }
+    }
+  })));
+  logger.info('Lowercased stored contract addresses', { count: mixedCase.length });
+}
+
+async function loadAlerts(db) {
+  const alerts = await db.collection('alerts').find({}).toArray();
+  alertsByToken.clear();
+  alerts.forEach(trackAlert);
+  logger.info('Loaded price alerts', { count: alerts.length });
+}
+
+function trackAlert(alert) {
+  const key = tokenKey(tokenChainId(alert), alert.contractAddress);
+  if (!alertsByToken.has(key)) {
+    alertsByToken.set(key, new Map());
+  }
+  alertsByToken.get(key).set(String(alert._id), alert);
+}
+
+function formatAlert(alert) {
+  return {
+    alertId: String(alert._id),
+    chainId: tokenChainId(alert),
+    contractAddress: alert.contractAddress,
+    type: alert.type,
+    threshold: alert.threshold,
+    webhookUrl: alert.webhookUrl || null,
+    cooldownSeconds: alert.cooldownSeconds,
+    lastTriggeredAt: alert.lastTriggeredAt || null,
+    createdAt: alert.createdAt
+  };
+}
+
+// Only public https endpoints can receive webhooks
+function isAllowedWebhookUrl(value) {
+  let url;
+  try {
+    url = new URL(value);
+  } catch (err) {
+    return false;
+  }
+  
+  const host = url.hostname.toLowerCase().replace(/^\[|\]$/g, '');
+  const privateHost = host === 'localhost' ||
+    host.endsWith('.localhost') ||
+    host.endsWith('.internal') ||
+    (net.isIP(host) !== 0 && isPrivateAddress(host));
+  
+  return url.protocol === 'https:' && !privateHost;
+}
+
+function isPrivateAddress(address) {
+  const family = net.isIP(address);
+  return family === 0 || PRIVATE_ADDRESSES.check(address, family === 4 ? 'ipv4' : 'ipv6');
+}
+
+// dns.lookup for webhook requests that fails when the host resolves to a
+// private address, so a public name can't point a webhook into the network
+function publicAddressLookup(hostname, options, callback) {
+  dns.lookup(hostname, options, (err, address, family) => {
+    if (err) return callback(err);
+    
+    const addresses = Array.isArray(address) ? address.map(entry => entry.address) : [address];
+    const blocked = addresses.find(isPrivateAddress);
+    if (blocked) {
+      const error = new Error(`${hostname} resolves to private address ${blocked}`);
+      error.code = 'EPRIVATEADDRESS';
+      return callback(error);
+    }
+    callback(null, address, family);
+  });
+}
+
+// POST a JSON body to a webhook URL, resolving to { ok, status }. The address
+// connected to is checked with publicAddressLookup, and redirects are not
+// followed: a 3xx counts as a failed delivery.
+function postWebhook(url, headers, body) {
+  return new Promise((resolve, reject) => {
+    const request = https.request(url, {
+      method: 'POST',
+      headers: {
+        'Content-Type': 'application/json',
+        'Content-Length': Buffer.byteLength(body),
+        ...headers
+      },
+      lookup: publicAddressLookup,
+      signal: AbortSignal.timeout(WEBHOOK_TIMEOUT_MS)
+    }, (response) => {
+      response.resume();
+      resolve({ ok: response.statusCode >= 200 && response.statusCode < 300, status: response.statusCode });
+    });
+    request.on('error', reject);
+    request.end(body);
+  });
+}
+
+async function createAlert(db, wallet, params, defaultChainId) {
+  const contractAddress = normalizeAddress(params.contractAddress);
+  if (!contractAddress) {
+    throw httpError(400, 'Invalid contract address');
+  }
+  
+  const chainId = parseTokenChainId(params.chainId, defaultChainId);
+  if (chainId === null) {
+    throw httpError(400, 'Unsupported chainId');
+  }
+  
+  const field = ALERT_TYPES[params.type];
+  if (!field) {
+    throw httpError(400, `Unknown alert type, expected one of ${Object.keys(ALERT_TYPES).join(', ')}`);
+  }
+  
+  const threshold = Number(params.threshold);
+  if (!Number.isFinite(threshold) || threshold <= 0) {
+    throw httpError(400, 'Threshold must be a positive number');
+  }
+  
+  if (params.webhookUrl && !isAllowedWebhookUrl(params.webhookUrl)) {
+    throw httpError(400, 'webhookUrl must be a public https URL');
+  }
+  
+  const cooldownSeconds = params.cooldownSeconds === undefined
+    ? DEFAULT_ALERT_COOLDOWN_SECONDS
+    : Number(params.cooldownSeconds);
+  if (!Number.isInteger(cooldownSeconds) || cooldownSeconds < MIN_ALERT_COOLDOWN_SECONDS) {
+    throw httpError(400, `cooldownSeconds must be an integer of at least ${MIN_ALERT_COOLDOWN_SECONDS}`);
+  }
+  
+  // Take a slot in the wallet's alert count before inserting, so concurrent
+  // creates can't pass the limit together. At the limit the guard doesn't
+  // match and the upsert collides with the existing count document.
+  const countsCollection = db.collection('alert_counts');
+  try {
+    await countsCollection.updateOne(
+      { _id: wallet, count: { $lt: MAX_ALERTS_PER_WALLET } },
+      { $inc: { count: 1 } },
+      { upsert: true }
+    );
+  } catch (err) {
+    if (err.code === 11000) {
+      throw httpError(400, `Wallets are limited to ${MAX_ALERTS_PER_WALLET} alerts`);
+    }
+    throw err;
+  }
+  
+  try {
+    return await insertAlert(db, wallet, { chainId, contractAddress, field, threshold, cooldownSeconds, params });
+  } catch (err) {
+    await countsCollection.updateOne({ _id: wallet }, { $inc: { count: -1 } });
+    throw err;
+  }
+}
+
+// Second half of createAlert, run once the wallet's slot is taken
+async function insertAlert(db, wallet, { chainId, contractAddress, field, threshold, cooldownSeconds, params }) {
+  const token = await findToken(db.collection('tokens'), chainId, contractAddress);
+  if (!token) {
+    throw httpError(404, 'Token not found');
+  }
+  
+  const value = token[field] || 0;
+  const alert = {
+    wallet,
+    chainId,
+    contractAddress,
+    type: params.type,
+    threshold,
+    webhookUrl: params.webhookUrl || null,
+    cooldownSeconds,
+    // State used to detect crossings and edges between change events
+    lastValue: value,
+    conditionMet: isAlertConditionMet(params.type, threshold, value, value),
+    baseline: value,
+    lastTriggeredAt: null,
+    createdAt: new Date()
+  };
+  
+  try {
+    const result = await db.collection('alerts').insertOne(alert);
+    alert._id = result.insertedId;
+  } catch (err) {
+    if (err.code === 11000) {
+      throw httpError(409, 'An identical alert already exists');
+    }
+    throw err;
+  }
+  
+  trackAlert(alert);
+  return alert;
+}
+
+async function deleteAlert(db, wallet, alertId) {
+  if (typeof alertId !== 'string' || !ObjectId.isValid(alertId)) return false;
+  
+  const result = await db.collection('alerts').findOneAndDelete({ _id: new ObjectId(alertId), wallet });
+  if (!result) return false;
+  await db.collection('alert_counts').updateOne({ _id: wallet }, { $inc: { count: -1 } });
+  
+  const key = tokenKey(tokenChainId(result), result.contractAddress);
+  const tokenAlerts = alertsByToken.get(key);
+  if (tokenAlerts) {
+    tokenAlerts.delete(alertId);
+    if (tokenAlerts.size === 0) alertsByToken.delete(key);
+  }
+  return true;
+}
+
+// Whether the level-style condition of an alert holds for a value
+function isAlertConditionMet(type, threshold, value, baseline) {
+  switch (type) {
+    case 'price-above':
+    case 'market-cap-above':
+      return value > threshold;
+    case 'price-below':
+    case 'market-cap-below':
+      return value < threshold;
+    case 'volume-24h-up':
+      return baseline > 0 && value >= baseline * (1 + threshold / 100);
+    default:
+      return false;
+  }
+}
+
+// Check a token's alerts against its new values. Alerts fire on the edge into
+// their condition (or on a crossing), at most once per cooldown.
+function evaluateAlerts(db, token) {
+  const tokenAlerts = alertsByToken.get(tokenKey(tokenChainId(token), token.contractAddress.toLowerCase()));
+  if (!tokenAlerts) return;
+  
+  const now = Date.now();
+  
+  tokenAlerts.forEach(alert => {
+    const value = token[ALERT_TYPES[alert.type]] || 0;
+    const previousValue = alert.lastValue;
+    alert.lastValue = value;
+    
+    let fired;
+    if (alert.type === 'price-crosses') {
+      fired = previousValue > 0 && previousValue !== value &&
+        (previousValue < alert.threshold) !== (value < alert.threshold);
+    } else {
+      const conditionMet = isAlertConditionMet(alert.type, alert.threshold, value, alert.baseline);
+      fired = conditionMet && !alert.conditionMet;
+      
+      // Leaving the condition re-arms the alert
+      if (!conditionMet && alert.conditionMet) {
+        alert.conditionMet = false;
+        db.collection('alerts').updateOne({ _id: alert._id }, { $set: { conditionMet: false } })
+          .catch(err => logger.error('Error updating alert state', err));
+      }
+    }
+    
+    const coolingDown = alert.lastTriggeredAt &&
+      now - new Date(alert.lastTriggeredAt).getTime() < alert.cooldownSeconds * 1000;
+    if (!fired || coolingDown) return;
+    
+    alert.lastTriggeredAt = new Date(now);
+    alert.conditionMet = alert.type !== 'price-crosses';
+    if (alert.type === 'volume-24h-up') {
+      // Measure the next increase from here; the condition starts over
+      alert.baseline = value;
+      alert.conditionMet = false;
+    }
+    
+    db.collection('alerts').updateOne(
+      { _id: alert._id },
+      { $set: { lastTriggeredAt: alert.lastTriggeredAt, conditionMet: alert.conditionMet, baseline: alert.baseline } }
+    ).catch(err => logger.error('Error updating alert state', err));
+    
+    deliverAlert(alert, token, value, previousValue);
+  });
+}
+
+// Send a fired alert to the owner's sockets and their webhook, if any
+function deliverAlert(alert, token, value, previousValue) {
+  const payload = {
+    ...formatAlert(alert),
+    value,
+    previousValue,
+    triggeredAt: alert.lastTriggeredAt,
+    token: {
+      chainId: tokenChainId(alert),
+      contractAddress: alert.contractAddress,
+      name: token.name,
+      symbol: token.symbol,
+      flagged: token.flagged === true,
+      verified: token.verified === true,
+      price_usd: token.price_usd || 0,
+      market_cap_usd: token.market_cap_usd || 0,
+      volume_usd_24h: token.volume_usd_24h || 0
+    }
+  };
+  
+  io.to(walletRoom(alert.wallet)).emit('price-alert', payload);
+  
+  if (alert.webhookUrl) {
+    postWebhook(alert.webhookUrl, {}, JSON.stringify({ event: 'price-alert', ...payload })).then(response => {
+      if (!response.ok) {
+        logger.warn('Alert webhook responded with an error', { webhookUrl: alert.webhookUrl, status: response.status });
+      }
+    }).catch(err => {
+      logger.error('Error delivering alert webhook', { webhookUrl: alert.webhookUrl, error: err.message });
+    });
+  }
+}
+
+function walletRoom(wallet) {
+  return `wallet:${wallet}`;
+}
+
+// Watchlists store token keys; bare addresses from before multi-chain
+// support are read as default-chain keys
+function normalizeWatchlist(tokens) {
+  return [...new Set((tokens || []).map(entry => {
+    const { chainId, contractAddress } = parseTokenKey(entry);
+    return tokenKey(chainId, contractAddress);
+  }))];
+}
+
+async function getWatchlist(db, wallet) {
+  const watchlist = await db.collection('watchlists').findOne({ _id: wallet });
+  return watchlist ? normalizeWatchlist(watchlist.tokens) : [];
+}
+
+// The watchlist with the current documents of its tokens
+async function buildWatchlistPayload(db, wallet) {
+  const watchlist = await getWatchlist(db, wallet);
+  const tokens = watchlist.length > 0
+    ? await db.collection('tokens').find(tokenKeysFilter(watchlist)).toArray()
+    : [];
+  
+  return { wallet, watchlist: formatTokenKeys(watchlist), tokens: tokens.map(token => formatToken(token)) };
+}
+
+// Atomically add or remove tokens, then push the new list to every socket of
+// the wallet and re-sync their token rooms
+async function updateWatchlist(db, wallet, { add = [], remove = [] }) {
+  const watchlists = db.collection('watchlists');
+  
+  const limitError = () => httpError(400, `Watchlists are limited to ${MAX_WATCHLIST_SIZE} tokens`);
+  
+  // Adds only apply while the result stays within the limit, checked by the
+  // update itself so concurrent adds can't exceed it
+  const filter = { _id: wallet };
+  if (add.length > 0) {
+    if (new Set(add).size > MAX_WATCHLIST_SIZE) {
+      throw limitError();
+    }
+    await watchlists.updateOne({ _id: wallet }, { $setOnInsert: { tokens: [] } }, { upsert: true });
+    filter.$expr = {
+      $lte: [{ $size: { $setUnion: [{ $ifNull: ['$tokens', []] }, add] } }, MAX_WATCHLIST_SIZE]
+    };
+  }
+  
+  // Removing a default-chain token also removes its legacy bare-address entry
+  const pulled = remove.flatMap(key => {
+    const { chainId, contractAddress } = parseTokenKey(key);
+    return chainId === DEFAULT_CHAIN_ID ? [key, contractAddress] : [key];
+  });
+  
+  const update = add.length > 0
+    ? { $addToSet: { tokens: { $each: add } }, $set: { updatedAt: new Date() } }
+    : { $pull: { tokens: { $in: pulled } }, $set: { updatedAt: new Date() } };
+  
+  const result = await watchlists.findOneAndUpdate(
+    filter,
+    update,
+    { upsert: add.length === 0, returnDocument: 'after' }
+  );
+  if (!result && add.length > 0) {
+    throw limitError();
+  }
+  const watchlist = result ? normalizeWatchlist(result.tokens) : [];
+  
+  const sockets = await io.in(walletRoom(wallet)).fetchSockets();
+  sockets.forEach(({ id }) => {
+    const socket = io.sockets.sockets.get(id);
+    if (socket) {
+      socket.data.watchlistTokens = new Set(watchlist);
+      syncTokenRooms(socket);
+    }
+  });
+  io.to(walletRoom(wallet)).emit('watchlist-update', { wallet, watchlist: formatTokenKeys(watchlist) });
+  
+  return watchlist;
+}
+
+// Join and leave token rooms so membership matches the socket's subscriptions
+function syncTokenRooms(socket) {
+  const wanted = getSubscribedTokens(socket);
+  
+  socket.rooms.forEach(room => {
+    if (room.startsWith('token:') && !wanted.has(room.slice('token:'.length))) {
+      socket.leave(room);
+    }
+  });
+  
+  wanted.forEach(key => socket.join(tokenRoom(key)));
 }
 
-startServer().catch(console.error);
+startServer().catch(err => logger.error('Failed to start server', err));